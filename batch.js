@@ -0,0 +1,41 @@
+/**
+ * A pipeline which also works with Redis Cluster.
+ *
+ * A Cluster rejects pipelines whose keys are not served by the same node, and the keys
+ * of a batch can be anywhere. With a Cluster the queued commands are sent one by one,
+ * all at once, ioredis groups them by node when enableAutoPipelining is set.
+ * exec() resolves [err, result] replies in both cases, like a pipeline.
+ */
+class Batch {
+
+	constructor(redis) {
+		this.redis = redis;
+		this.commands = [];
+	}
+
+	exec() {
+		return Promise.all(this.commands.map(([command, args]) => this.redis[command](...args).then(
+			result => [null, result],
+			err => [err, undefined]
+		)));
+	}
+}
+
+// commands of the loader and tags, chainable like pipeline commands
+['get', 'pttl', 'set', 'del', 'eval', 'zrem'].forEach(command => {
+	Batch.prototype[command] = function(...args) {
+		this.commands.push([command, args]);
+		return this;
+	};
+});
+
+/**
+ * @param {object} redis - ioredis instance or Cluster
+ * @returns {object} - a pipeline, or a Batch with a Cluster
+ */
+function createBatch(redis) {
+	return typeof redis.nodes === 'function' ? new Batch(redis) : redis.pipeline();
+}
+
+
+module.exports = createBatch;
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+/**
+ * Canonical serialization of cache key arguments, equal arguments always give the same string:
+ * - object keys and Map and Set entries are sorted
+ * - undefined fields are kept
+ * - other types carry a tag, e.g. 1n, Date(2024-01-01T00:00:00.000Z), Map{...} or Buffer(base64)
+ */
+function canonical(value, seen = new Set()) {
+	switch (typeof value) {
+		case 'string': return JSON.stringify(value);
+		case 'number': return Object.is(value, -0) ? '0' : String(value);
+		case 'bigint': return `${value}n`;
+		case 'boolean': return String(value);
+		case 'undefined': return 'undefined';
+		case 'function':
+		case 'symbol':
+			throw new TypeError(`NWLoader: a ${typeof value} can not be part of a cache key`);
+	}
+	if (value === null) return 'null';
+
+	if (seen.has(value)) throw new TypeError('NWLoader: a circular structure can not be part of a cache key');
+	seen.add(value);
+	try {
+		return canonicalObject(value, seen);
+	} finally {
+		seen.delete(value);
+	}
+}
+
+function canonicalObject(value, seen) {
+	if (value instanceof Date) return `Date(${isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()})`;
+	if (value instanceof RegExp) return `RegExp(${value})`;
+	// Buffer and typed arrays
+	if (ArrayBuffer.isView(value)) {
+		return `${value.constructor.name}(${Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64')})`;
+	}
+	if (value instanceof Map) {
+		return `Map{${Array.from(value, ([k, v]) => `${canonical(k, seen)}:${canonical(v, seen)}`).sort().join(',')}}`;
+	}
+	if (value instanceof Set) return `Set[${Array.from(value, v => canonical(v, seen)).sort().join(',')}]`;
+	// holes of sparse arrays are undefined
+	if (Array.isArray(value)) return `[${Array.from(value, v => canonical(v, seen)).join(',')}]`;
+	if (typeof value.toJSON === 'function') return canonical(value.toJSON(), seen);
+
+	const fields = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key], seen)}`);
+	// instances of classes are not equal to plain objects with the same fields
+	const proto = Object.getPrototypeOf(value);
+	const name = proto && proto !== Object.prototype && proto.constructor ? proto.constructor.name : '';
+	return `${name}{${fields.join(',')}}`;
+}
+
+function isPrimitive(value) {
+	return value === null || (typeof value !== 'object' && typeof value !== 'function');
+}
+
+/**
+ * Hash a canonical string
+ * @param {string} s
+ * @param {string|function} algorithm - a node:crypto hash name, e.g. 'md5' or 'sha256', or a function (string) => string
+ * @returns {string} - hex digest
+ */
+function hash(s, algorithm) {
+	if (typeof algorithm === 'function') return String(algorithm(s));
+	return crypto.createHash(algorithm).update(s).digest('hex');
+}
+
+
+module.exports = {
+	canonical,
+	isPrimitive,
+	hash
+};
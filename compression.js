@@ -0,0 +1,83 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+/**
+ * Compression of serialized values with node:zlib.
+ * The asynchronous API runs in the libuv thread pool, so large values don't block the event loop.
+ *
+ * The algorithm name is stored in every compressed envelope,
+ * so entries are read whatever the current options, and uncompressed entries are read as before.
+ */
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const deflate = promisify(zlib.deflate);
+const inflate = promisify(zlib.inflate);
+const brotliCompress = promisify(zlib.brotliCompress);
+const brotliDecompress = promisify(zlib.brotliDecompress);
+
+const algorithms = {
+	gzip: {
+		compress: (data, level) => gzip(data, { level }),
+		decompress: data => gunzip(data)
+	},
+	deflate: {
+		compress: (data, level) => deflate(data, { level }),
+		decompress: data => inflate(data)
+	},
+	brotli: {
+		compress: (data, level) => brotliCompress(data, {
+			params: {
+				[zlib.constants.BROTLI_PARAM_QUALITY]: level,
+				[zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+			}
+		}),
+		decompress: data => brotliDecompress(data)
+	}
+};
+
+// the default quality 11 of brotli is too slow to compress on every prime
+const defaultLevels = {
+	gzip: zlib.constants.Z_DEFAULT_COMPRESSION,
+	deflate: zlib.constants.Z_DEFAULT_COMPRESSION,
+	brotli: 4
+};
+
+/**
+ * get the compression options from an algorithm name or { algorithm, threshold, level }
+ * @returns {object|null} - null when compression is disabled
+ */
+function resolve(options) {
+	if (!options) return null;
+	if (typeof options === 'string') options = { algorithm: options };
+	options = Object.assign({ algorithm: 'gzip', threshold: 1024 }, options);
+	if (!algorithms[options.algorithm]) throw new Error(`NWLoader unknown compression ${options.algorithm}`);
+	if (options.level === undefined) options.level = defaultLevels[options.algorithm];
+	return options;
+}
+
+/**
+ * @param {object} options - resolved options
+ * @param {string|Buffer} data - serialized value
+ * @returns {Promise<Buffer>}
+ */
+async function compress(options, data) {
+	return algorithms[options.algorithm].compress(Buffer.from(data), options.level);
+}
+
+/**
+ * @param {string} algorithm - name stored in the envelope
+ * @param {Buffer} data
+ * @returns {Promise<Buffer>}
+ */
+async function decompress(algorithm, data) {
+	if (!algorithms[algorithm]) throw new Error(`NWLoader unknown compression ${algorithm}`);
+	return algorithms[algorithm].decompress(data);
+}
+
+
+module.exports = {
+	resolve,
+	compress,
+	decompress
+};
@@ -0,0 +1,46 @@
+/**
+ * Thrown when a lock could not be acquired within `acquireTimeout` ms
+ */
+class LockTimeoutError extends Error {
+
+	constructor(lockName, acquireTimeout) {
+		super(`NWLock: could not acquire lock ${lockName} within ${acquireTimeout}ms`);
+		this.name = 'LockTimeoutError';
+		this.code = 'NWLOCK_TIMEOUT';
+		this.lockName = lockName;
+		this.acquireTimeout = acquireTimeout;
+	}
+}
+
+/**
+ * Reason of the task signal when the watchdog finds the lock was lost,
+ * another holder may be running the same task
+ */
+class LockLostError extends Error {
+
+	constructor(lockName) {
+		super(`NWLock: lost lock ${lockName} while the task was running`);
+		this.name = 'LockLostError';
+		this.code = 'NWLOCK_LOST';
+		this.lockName = lockName;
+	}
+}
+
+/**
+ * Thrown when the signal passed by the caller aborts, the reason of the signal is the cause
+ */
+class AbortError extends Error {
+
+	constructor(message, cause) {
+		super(message, { cause });
+		this.name = 'AbortError';
+		this.code = 'ABORT_ERR';
+	}
+}
+
+
+module.exports = {
+	LockTimeoutError,
+	LockLostError,
+	AbortError
+};
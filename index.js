@@ -1,10 +1,46 @@
 const NWLock = require('./lock');
 const debug = require('debug');
-const md5 = require('./md5');
+const { canonical, isPrimitive, hash } = require('./canonical');
+const LRU = require('./lru');
+const serializers = require('./serializer');
+const compressors = require('./compression');
+const tags = require('./tags');
+const createBatch = require('./batch');
+const { Latency } = require('./stats');
+const EventEmitter = require('events');
 
-class NWLoader {
+const LOCK_EVENTS = ['lock:acquired', 'lock:wait', 'lock:ignored', 'lock:lost'];
+
+// extend the expiration of a key, but never shorten it
+// a key primed again meanwhile lives longer than the extension and is left alone
+const extendScript = `
+	local pttl = redis.call("PTTL", KEYS[1])
+	if pttl > 0 and pttl < tonumber(ARGV[1]) then
+		return redis.call("PEXPIRE", KEYS[1], ARGV[1])
+	end
+	return 0
+`;
+
+/**
+ * Events, every payload has the cache key as `key`, a duration in ms and an outcome:
+ * - hit { key, tier, duration, outcome } outcome is 'fresh', 'stale', 'grace' or 'error' for a cached error
+ * - miss { key, duration, outcome: 'miss' }
+ * - coalesced { key, duration, outcome: 'coalesced' } joined a load() of the same key in flight, see options.singleflight
+ * - stale { key, duration, outcome } stale data served while refreshing in background,
+ *   outcome is 'grace' past the normal expiration thanks to `options.staleIfError`
+ * - grace:extend { key, duration, outcome } after a failed refresh, outcome is 'extended' by duration ms or 'exhausted'
+ * - refresh:start { key, duration, outcome } outcome is 'miss', 'stale', 'early' or 'force', the reason of the refresh,
+ *   duration is the time since the call, reading the cache and taking the lock
+ * - refresh:end { key, duration, outcome } outcome is 'success' or 'error', duration of the loader call
+ * - loader:error { key, duration, outcome: 'error', error }
+ * - background:error { key, duration, outcome: 'error', error } logged with console.error if nobody listens,
+ *   duration since the call which started the refresh, or the prime which failed to record tags
+ * - lock:acquired, lock:wait, lock:ignored, lock:lost { key, type, duration, outcome } forwarded from the lock, see lock.js
+ */
+class NWLoader extends EventEmitter {
 
 	constructor(name, loader, options) {
+		super();
 
 		if (!name || !name.match(/^[a-z0-9\:\_\-\.\[\]]+$/i)) {
 			throw new Error('NWLoader need first argument to be a valid string');
@@ -18,14 +54,99 @@ class NWLoader {
 			redis: null,
 
 			//default expiration seconds
+			//or a function (value, args) => seconds, 0 to not cache the value
 			ttl: 30,
 
+			//optional predicate (value, args) => boolean deciding which loaded values get cached
+			shouldCache: null,
+
+			//fraction of the ttl randomly taken off each entry, so entries primed together don't expire together
+			jitter: 0,
+
+			//probabilistic early refresh (XFetch), higher refreshes earlier, 0 disables it
+			beta: 0,
+
 			//prefix for every key
-			keyPrefix: 'nwloader'
+			keyPrefix: 'nwloader',
+
+			//optional function (...args) => key replacing the arguments as the cache key
+			key: null,
+
+			//hash of keys which are too long or not readable
+			//a node:crypto algorithm such as 'md5', 'sha1' or 'sha256', or a function (string) => string
+			keyHash: 'md5',
+
+			//primitive arguments are used as is in keys up to this length, longer keys are hashed
+			maxKeyLength: 64,
+
+			//in-process LRU tier checked before redis, disabled by default
+			//set to true or { max: 1000, maxSize: 0 } to enable it
+			memory: null,
+
+			//optional function loading many entries at once for loadMany()
+			//receives an array of arguments lists, returns an array of values in the same order
+			batchLoader: null,
+
+			//serializer for cached values: 'json', 'typed', 'v8' or an object with name, encode and decode
+			serializer: 'json',
+
+			//compression of large values: 'gzip', 'brotli', 'deflate'
+			//or { algorithm: 'gzip', threshold: 1024, level } to only compress values of threshold bytes or more
+			compression: null,
+
+			//seconds to cache errors thrown by the loader for cold keys, 0 disables error caching
+			errorTtl: 0,
+
+			//extra error properties stored with cached errors, name, message and code are always stored
+			errorFields: [],
+
+			//optional predicate (err, args) => boolean deciding which errors are cached
+			shouldCacheError: null,
+
+			//tags recorded for every entry, an array or a function (value, args) => array
+			tags: null,
+
+			//prefix for tag sets, shared by every loader which should be invalidated together
+			tagPrefix: 'nwloader:tag',
+
+			//seconds stale data may still be served past its normal expiration while refreshes fail
+			staleIfError: 0,
+
+			//options of the race lock, see lock.js, e.g. { watchdog: true }
+			lockOptions: null,
+
+			//concurrent load() calls of the same key in this process share one promise
+			singleflight: true,
+
+			//Redis Cluster layout, the loader name and key are wrapped in a {...} hash tag
+			//so the entry and its race lock keys live in the same slot
+			hashTag: false,
+
+			//with hashTag, entries missing in the new layout are read from their old key while it lives
+			legacyKeys: false,
+
+			//version of the cached values, entries of another version are misses
+			version: null,
+
+			//include a generation counter in keys, bumpGeneration() invalidates every entry at once
+			generations: false,
+
+			//ms the generation read from redis is used before reading it again, 0 reads it on every call
+			generationCacheTime: 1000
 
 		}, options);
 
-		if (this.options.ttl < 2) throw new Error('NWLoader need ttl greater than 2 seconds');
+		if (typeof this.options.ttl === 'number' && this.options.ttl < 2) throw new Error('NWLoader need ttl greater than 2 seconds');
+		// a jitter of 1 or more could give entries no ttl at all
+		if (typeof this.options.jitter !== 'number' || !(this.options.jitter >= 0 && this.options.jitter < 1)) {
+			throw new Error('NWLoader need jitter from 0 to less than 1');
+		}
+		// entries without version are only read when options.version is not set
+		if (this.options.version === undefined) this.options.version = null;
+		// hashed keys are not cut to maxKeyLength
+		if (hash('', this.options.keyHash).length > this.options.maxKeyLength) {
+			throw new Error('NWLoader need maxKeyLength greater than the length of hashed keys');
+		}
 
 		// Redis instance is now mandatory
 		if (!this.options.redis) {
@@ -36,8 +157,44 @@ class NWLoader {
 		this.redis = this.options.redis;
 
 		this.debug = debug(`nwloader:${this.name}`);
+		this.serializer = serializers.resolve(this.options.serializer);
+		this.compression = compressors.resolve(this.options.compression);
+
 		// Pass the ioredis instance directly to the lock
-		this.lock = new NWLock(this.redis);
+		this.lock = new NWLock(this.redis, this.options.lockOptions);
+		LOCK_EVENTS.forEach(event => this.lock.on(event, payload => this.track(event, payload)));
+
+		if (this.options.memory) {
+			this.memory = new LRU(this.options.memory === true ? {} : this.options.memory);
+		}
+
+		// key -> promise of the load() in flight
+		this.inflight = new Map();
+
+		// current generation, see syncGeneration()
+		this.generation = 0;
+		this.generationTime = 0;
+		this.generationSync = null;
+
+		this.counters = {
+			memory: { hits: 0, misses: 0 },
+			redis: { hits: 0, misses: 0 },
+			stale: 0,
+			early: 0,
+			coalesced: 0,
+			grace: { served: 0, extended: 0 },
+			refreshes: 0,
+			loaderErrors: 0,
+			backgroundErrors: 0,
+			lock: { acquired: 0, waits: 0, ignored: 0, lost: 0 },
+			compression: { compressed: 0, skipped: 0, bytes: 0, compressedBytes: 0 }
+		};
+		this.latency = {
+			loader: new Latency(),
+			lockWait: new Latency(),
+			compress: new Latency(),
+			decompress: new Latency()
+		};
 	}
 
 	/**
@@ -45,19 +202,104 @@ class NWLoader {
 	 * support object key
 	 */
 	getKey(key) {
-		if (typeof key !== 'string' && typeof key !== 'number') {
-			key = md5(JSON.stringify(key));
+		return this.getEntryKey(this.normalizeKey(key));
+	}
+
+	// redis key of a key already normalized, normalizing it again would give another key
+	getEntryKey(origKey) {
+		if (this.options.hashTag) return `${this.options.keyPrefix}:{${this.getNamespace()}:${origKey}}`;
+		return `${this.options.keyPrefix}:${this.getNamespace()}:${origKey}`;
+	}
+
+	// key of an entry in the layout used before options.hashTag, from a normalized key
+	getLegacyKey(origKey) {
+		return `${this.options.keyPrefix}:${this.getNamespace()}:${origKey}`;
+	}
+
+	// name of the race lock of a key, with options.hashTag its lock keys share the hash tag of the entry
+	getLockName(origKey) {
+		if (this.options.hashTag) return `{${this.getNamespace()}:${origKey}}`;
+		return this.generation ? `${this.getNamespace()}:${origKey}` : origKey;
+	}
+
+	// loader name and generation, loader names can't contain @ so generations never collide with other loaders
+	getNamespace() {
+		return this.generation ? `${this.name}@${this.generation}` : this.name;
+	}
+
+	// not matched by the SCAN patterns of the entries, clearAll() keeps it
+	getGenerationKey() {
+		return `${this.options.keyPrefix}:${this.name}#generation`;
+	}
+
+	/**
+	 * Read the current generation from redis, see options.generations
+	 * The generation is used for options.generationCacheTime ms before being read again
+	 * @returns {Promise<number>}
+	 */
+	async syncGeneration() {
+		if (!this.options.generations) return 0;
+		if (Date.now() - this.generationTime < this.options.generationCacheTime) return this.generation;
+		if (!this.generationSync) {
+			this.generationSync = this.redis.get(this.getGenerationKey()).then(generation => {
+				// generations only grow, a bump may have happened meanwhile
+				this.generation = Math.max(this.generation, Number(generation) || 0);
+				this.generationTime = Date.now();
+				return this.generation;
+			}).finally(() => {
+				this.generationSync = null;
+			});
 		}
-		return `${this.options.keyPrefix}:${this.name}:${key}`;
+		return this.generationSync;
+	}
+
+	/**
+	 * Invalidate every entry of the loader at once by moving to a new generation of keys
+	 * Entries of older generations are never read again and expire by themselves
+	 * Other processes notice the new generation within options.generationCacheTime ms
+	 * @returns {Promise<number>} - the new generation
+	 */
+	async bumpGeneration() {
+		if (!this.options.generations) throw new Error('NWLoader need options.generations to bump the generation');
+		const generation = await this.redis.incr(this.getGenerationKey());
+		this.generation = Math.max(this.generation, generation);
+		this.generationTime = Date.now();
+		if (this.memory) this.memory.clear();
+		this.debug(`moved to generation ${this.generation}`);
+		return this.generation;
+	}
+
+	/**
+	 * Read an entry missing in the hash tag layout from its old key, see options.legacyKeys
+	 * The new key is still missing, so the entry is served as stale and refreshed into the new layout
+	 */
+	async readLegacy(origKey) {
+		if (!this.options.hashTag || !this.options.legacyKeys) return null;
+		const rawValue = await this.redis.get(this.getLegacyKey(origKey));
+		if (rawValue) this.debug(`got ${origKey} from the legacy layout`);
+		return rawValue;
 	}
 
+	/**
+	 * Turn a key into the part of the Redis key after the loader name
+	 * - strings and finite numbers are used as is, but strings starting with ~
+	 * - other primitives and arrays of primitives are used in their canonical form after a ~, e.g. ~null or ~["a",1],
+	 *   no string used as is can give the same key
+	 * - everything else, and keys longer than options.maxKeyLength, is hashed with options.keyHash
+	 */
+	normalizeKey(key) {
+		const raw = (typeof key === 'string' && key[0] !== '~') || (typeof key === 'number' && isFinite(key));
+		if (raw && String(key).length <= this.options.maxKeyLength) return key;
+		const s = canonical(key);
+		const readable = Array.isArray(key) ? key.every(isPrimitive) : isPrimitive(key);
+		if (readable && s.length < this.options.maxKeyLength) return `~${s}`;
+		return hash(s, this.options.keyHash);
+	}
+
+	// cache key of the arguments of a load, a single argument is the key itself
 	getBaseKey(args) {
-		let key = args;
-		if (args.length === 1) key = args[0];
-		if (typeof key !== 'string' && typeof key !== 'number') {
-			key = md5(JSON.stringify(key));
-		}
-		return key;
+		if (this.options.key) return this.normalizeKey(this.options.key(...args));
+		return this.normalizeKey(args.length === 1 ? args[0] : args);
 	}
 
 	/**
@@ -70,26 +312,207 @@ class NWLoader {
 	 * - During this time, we should refresh the cache in background while still serving stale data
 	 * - This allows for graceful degradation when the loader is slow or failing
 	 * 
+	 * The user TTL is the one stored with the entry, see entryTtl()
+	 * 
 	 * @param {string} key - The Redis key to check
 	 * @returns {Promise<boolean>} - True if cache needs refresh, false otherwise
 	 */
 	async needsRefresh(key) {
+		const v = await this.parse(key, await this.redis.get(key));
+		if (!v || v.error) return true;
+		return await this.getFreshTime(key, this.entryTtl(v)) <= 0;
+	}
+
+	/**
+	 * Get how many milliseconds the cached data stays fresh, based on Redis key TTL
+	 * 
+	 * @param {string} key - The Redis key to check
+	 * @param {number} ttl - seconds the entry stays fresh, defaults to options.ttl
+	 * @returns {Promise<number>} - Milliseconds left before a refresh is due, 0 if it is due now
+	 */
+	async getFreshTime(key, ttl = this.entryTtl(null)) {
 		try {
 			// Get Redis key TTL (-1 if key exists but no expire, -2 if key does not exist)
-			const ttl = await this.redis.ttl(key);
-			debug('check ttl for', key, 'ttl=', ttl, 'options.ttl=', this.options.ttl);	
-			// If key doesn't exist or TTL indicates expired, needs refresh
-			if (ttl === -2) {
-				return true;
-			}
-			
-			// If TTL is less than user-configured TTL, it's time to refresh
-			// (Redis TTL is in seconds, user TTL is in seconds)
-			return ttl <= this.options.ttl;
+			const pttl = await this.redis.pttl(key);
+			this.debug('check ttl for', key, 'pttl=', pttl, 'ttl=', ttl);
+			// If key doesn't exist or has no expiration, needs refresh
+			// as well as entries of unknown ttl
+			if (pttl < 0 || !ttl) return 0;
+
+			// The second half of the Redis TTL is the stale window
+			return Math.max(0, pttl - ttl * 1000);
 		} catch (err) {
 			// If we can't get TTL, assume cache needs refresh
 			console.warn('Failed to get Redis key TTL, assuming cache needs refresh', err);
+			return 0;
+		}
+	}
+
+	/**
+	 * Put data into the in-process tier
+	 * The entry never outlives the fresh window of the Redis entry,
+	 * so stale data is always revalidated through Redis
+	 */
+	remember(key, value, freshTime, size) {
+		if (!this.memory) return;
+		this.memory.set(key, value, freshTime, size);
+	}
+
+	/**
+	 * Count an event in stats and emit it
+	 */
+	track(event, payload) {
+		const counters = this.counters;
+		switch (event) {
+			case 'hit': counters[payload.tier].hits++; break;
+			case 'miss': counters.redis.misses++; break;
+			case 'stale':
+				counters.stale++;
+				if (payload.outcome === 'grace') counters.grace.served++;
+				break;
+			case 'coalesced': counters.coalesced++; break;
+			case 'refresh:start':
+				if (payload.outcome === 'early') counters.early++;
+				break;
+			case 'grace:extend':
+				if (payload.outcome === 'extended') counters.grace.extended++;
+				break;
+			case 'refresh:end':
+				counters.refreshes++;
+				this.latency.loader.record(payload.duration);
+				break;
+			case 'loader:error': counters.loaderErrors++; break;
+			case 'background:error': counters.backgroundErrors++; break;
+			case 'lock:acquired':
+				counters.lock.acquired++;
+				this.latency.lockWait.record(payload.duration);
+				break;
+			case 'lock:wait': counters.lock.waits++; break;
+			case 'lock:ignored': counters.lock.ignored++; break;
+			case 'lock:lost': counters.lock.lost++; break;
+		}
+		this.emit(event, payload);
+	}
+
+	/**
+	 * Snapshot of counters for each cache tier, refreshes, errors and locks,
+	 * and latency percentiles of loader calls and lock waits
+	 */
+	stats() {
+		const counters = this.counters;
+		const stats = {
+			redis: Object.assign({}, counters.redis),
+			stale: counters.stale,
+			early: counters.early,
+			coalesced: counters.coalesced,
+			grace: Object.assign({}, counters.grace),
+			refreshes: counters.refreshes,
+			loaderErrors: counters.loaderErrors,
+			backgroundErrors: counters.backgroundErrors,
+			lock: Object.assign({}, counters.lock),
+			latency: {
+				loader: this.latency.loader.snapshot(),
+				lockWait: this.latency.lockWait.snapshot()
+			}
+		};
+		// entries compressed by other processes are still decompressed without options.compression
+		if (this.compression || this.latency.decompress.count) {
+			const compression = counters.compression;
+			stats.compression = Object.assign({
+				ratio: compression.bytes ? compression.compressedBytes / compression.bytes : 0,
+				latency: {
+					compress: this.latency.compress.snapshot(),
+					decompress: this.latency.decompress.snapshot()
+				}
+			}, compression);
+		}
+		if (this.memory) {
+			stats.memory = Object.assign({
+				entries: this.memory.size,
+				bytes: this.memory.bytes
+			}, counters.memory);
+		}
+		return stats;
+	}
+
+	/**
+	 * Whether a stale entry is past its normal expiration, kept alive by `options.staleIfError`
+	 */
+	inGrace(envelope) {
+		return !!this.options.staleIfError && Date.now() - envelope.createTime > this.entryTtl(envelope) * 2000;
+	}
+
+	// seconds an entry stays fresh, stored in the envelope when it is not options.ttl
+	// 0 if unknown, for entries primed before options.ttl became a function
+	entryTtl(envelope) {
+		if (envelope && envelope.ttl !== undefined) return envelope.ttl;
+		return typeof this.options.ttl === 'number' ? this.options.ttl : 0;
+	}
+
+	/**
+	 * Seconds a loaded value stays fresh, 0 if it should not be cached
+	 * From the ttl of the call or options.ttl, numbers or functions (value, args) => seconds,
+	 * and 0 if `options.shouldCache(value, args)` refuses it
+	 */
+	cacheTtl(value, options) {
+		const args = options && options.args;
+		if (this.options.shouldCache && !this.options.shouldCache(value, args)) return 0;
+		let ttl = (options && options.ttl) || this.options.ttl;
+		if (typeof ttl === 'function') ttl = ttl(value, args);
+		if (!(ttl > 0)) return 0;
+		return this.options.jitter ? ttl * (1 - this.options.jitter * Math.random()) : ttl;
+	}
+
+	/**
+	 * XFetch: whether a fresh entry is refreshed already, more likely as it gets close to stale
+	 * and as its loader is slow, so that entries primed together are refreshed at different times
+	 * @param {object} envelope - delta is the duration in ms of the loader call which loaded it
+	 * @param {number} freshTime - ms before the entry is stale
+	 */
+	refreshEarly(envelope, freshTime) {
+		if (!this.options.beta || !envelope.delta || freshTime <= 0) return false;
+		return envelope.delta * this.options.beta * -Math.log(Math.random()) >= freshTime;
+	}
+
+	/**
+	 * Keep serving the last good value while the loader fails
+	 * The entry is extended by at most one ttl and never past `options.staleIfError` seconds
+	 * after its normal expiration. It stays stale, so the next requests keep trying to refresh it.
+	 */
+	async extendStale(key, envelope) {
+		if (!this.options.staleIfError || !envelope) return false;
+		const ttl = this.entryTtl(envelope);
+		const deadline = envelope.createTime + (ttl * 2 + this.options.staleIfError) * 1000;
+		const extension = Math.min(ttl * 1000, deadline - Date.now());
+		if (extension <= 0) {
+			this.track('grace:extend', { key, duration: 0, outcome: 'exhausted' });
+			return false;
+		}
+		try {
+			const result = await this.redis.eval(extendScript, 1, key, Math.round(extension));
+			if (!result) return false;
+			this.debug(`extended ${key} by ${extension}ms after a failed refresh`);
+			this.track('grace:extend', { key, duration: extension, outcome: 'extended' });
 			return true;
+		} catch (err) {
+			console.error(`NWLoader: Failed to extend stale value for ${this.name}:${key}`, err);
+			return false;
+		}
+	}
+
+	/**
+	 * Report an error of a background refresh, nobody is waiting for it anymore
+	 * @param {number} startTime - of the call which started the refresh
+	 */
+	backgroundError(err, key, startTime) {
+		if (!err || typeof err !== 'object') err = new Error(err);
+		if (!err.nw_loader) err.message = `NWLoader ${this.name}:${key} Error: ${err.message}`;
+		err.code = 'nwloader-background-error';
+		if (this.listenerCount('background:error')) {
+			this.track('background:error', { key, duration: Date.now() - startTime, outcome: 'error', error: err });
+		} else {
+			this.counters.backgroundErrors++;
+			console.error(err);
 		}
 	}
 
@@ -115,11 +538,73 @@ class NWLoader {
 	 * - When Redis TTL < user TTL, it's time to refresh in background
 	 * - This approach avoids time synchronization issues between application servers
 	 * 
+	 * When the in-process tier is enabled, it is checked before Redis and
+	 * a hit there resolves without any Redis round trip.
+	 * 
+	 * With `options.singleflight`, a call made while another one of the same key is
+	 * in flight gets the same promise, without touching Redis.
+	 * 
 	 */
 	async load(...args) {
+		return this.loadWith(null, ...args);
+	}
+
+	/**
+	 * Load data with options for this call only, see load()
+	 * Calls with options are not coalesced with other calls.
+	 * 
+	 * @param {object} options
+	 *   - forceRefresh: call the loader even if the cached data is fresh
+	 *   - cacheOnly: resolve with the cached data, stale or not, or undefined, never call the loader
+	 *   - noCache: call the loader without reading nor priming the cache
+	 *   - ttl: seconds the loaded data stays fresh, instead of options.ttl
+	 *   - maxAge: seconds, cached data older than that is a miss
+	 *   The loader is called with the race lock: if another call is already loading the key,
+	 *   this one waits for it and reads its result from the cache.
+	 * @param {...*} args - arguments of the loader
+	 */
+	async loadWith(options, ...args) {
+		options = options || {};
+		await this.syncGeneration();
 		let origKey = this.getBaseKey(args);
-		let key = this.getKey(origKey);
+		let key = this.getEntryKey(origKey);
+		const startTime = Date.now();
 
+		if (this.memory && !options.forceRefresh && !options.noCache && !options.maxAge) {
+			const entry = this.memory.get(key);
+			if (entry) {
+				this.debug(`got ${key} from memory`);
+				this.track('hit', { key, tier: 'memory', duration: Date.now() - startTime, outcome: 'fresh' });
+				return entry.value;
+			}
+			this.counters.memory.misses++;
+		}
+
+		const plain = Object.keys(options).every(name => !options[name]);
+		if (!this.options.singleflight || !plain) return this.loadFromCache(origKey, key, args, startTime, options);
+
+		const pending = this.inflight.get(key);
+		if (pending) {
+			this.debug(`joined the load of ${key} in flight`);
+			this.track('coalesced', { key, duration: Date.now() - startTime, outcome: 'coalesced' });
+			return pending;
+		}
+		const promise = this.loadFromCache(origKey, key, args, startTime, options);
+		this.inflight.set(key, promise);
+		const forget = () => {
+			if (this.inflight.get(key) === promise) this.inflight.delete(key);
+		};
+		promise.then(forget, forget);
+		return promise;
+	}
+
+	/**
+	 * Read the key from Redis, and call the loader with the race lock if it is missing or stale
+	 * Resolves as soon as data is available, a stale entry is refreshed in background
+	 * @param {object} options - options of loadWith()
+	 */
+	loadFromCache(origKey, key, args, startTime, options) {
+		options = options || {};
 		return new Promise(async (done, reject) => {
 			// did flag tracks whether the promise has been resolved (data returned to caller)
 			let did = false;
@@ -127,51 +612,90 @@ class NWLoader {
 			this.debug(`try to load ${key} from cache`);
 
 			try {
-				// Use this.redis directly and handle JSON parsing
-				const rawValue = await this.redis.get(key);
-				if (rawValue !== null) {
-					try {
-						v = JSON.parse(rawValue);
-					} catch (parseErr) {
-						console.error(`NWLoader: Failed to parse cached value for key ${key}`, parseErr);
-						v = null;
-					}
+				let rawValue = null;
+				if (!options.noCache) rawValue = await this.redis.get(key) || await this.readLegacy(origKey);
+				v = await this.parse(key, rawValue);
+				if (v && options.maxAge && Date.now() - v.createTime > options.maxAge * 1000) {
+					this.debug(`${key} is older than maxAge`);
+					v = null;
 				}
+
+				// Cached error, reject without calling the loader until it expires
+				if (v && v.error && !options.forceRefresh) {
+					this.debug(`got cached error for ${key}`);
+					this.track('hit', { key, tier: 'redis', duration: Date.now() - startTime, outcome: 'error' });
+					reject(this.restoreError(v.error));
+					return;
+				}
+				// a forced refresh loads the key again, as if it was missing
+				if (v && v.error) v = null;
 				
 				// If valid cached data found, return it immediately
-				if (v && v.createTime) {
+				if (v && !options.forceRefresh) {
 					this.debug(`got ${key} from cache`);
 					done(v.value);
 					did = true; // Mark that data has been returned to caller
-				} else {
+				} else if (!v && !options.noCache) {
 					this.debug(`${key} not found in cache`);
+					this.track('miss', { key, duration: Date.now() - startTime, outcome: 'miss' });
+				}
+				if (options.cacheOnly && !did) {
+					done(undefined);
+					return;
+				}
+
+				let freshTime = 0, early = false;
+				if (v) {
+					freshTime = await this.getFreshTime(key, this.entryTtl(v));
+					early = this.refreshEarly(v, freshTime);
+					const outcome = freshTime > 0 ? 'fresh' : (this.inGrace(v) ? 'grace' : 'stale');
+					this.track('hit', { key, tier: 'redis', duration: Date.now() - startTime, outcome });
+					if (freshTime > 0) {
+						this.remember(key, v.value, freshTime, Buffer.byteLength(rawValue));
+					} else {
+						this.track('stale', { key, duration: Date.now() - startTime, outcome });
+					}
 				}
 
 				// Check if cache is missing or needs refresh
 				// Even if data is returned to caller, we still try to refresh cache in background
-				if (!v || await this.needsRefresh(key)) {
+				if ((freshTime <= 0 || early || options.forceRefresh) && !options.cacheOnly) {
 					// Use race lock to ensure only one loader function executes
 					// Pass 'did' as ignore parameter:
 					// - If did=true (data already returned), other requests will be ignored (don't wait)
 					// - If did=false (no data returned yet), other requests will be ignored by default (fast fail)
-					let { executed } = await this.lock.race(origKey, async () => {
+					let { executed } = await this.lock.race(this.getLockName(origKey), async () => {
 						this.debug(`loading ${key} from loader`);
+						const reason = did ? (early ? 'early' : 'stale') : (v ? 'force' : 'miss');
+						this.track('refresh:start', { key, duration: Date.now() - startTime, outcome: reason });
+						const loadTime = Date.now();
+						let loaded = false;
 						try {
 							// Execute loader function
 							let newData = await this.loader(...args);
-							this.debug(`set ${key} to cache`);
-							await this.prime(origKey, newData);
+							loaded = true;
+							const duration = Date.now() - loadTime;
+							this.track('refresh:end', { key, duration, outcome: 'success' });
+							if (!options.noCache) {
+								this.debug(`set ${key} to cache`);
+								await this.primeEntry(origKey, newData, { args, ttl: options.ttl, delta: duration });
+							}
 							// Only return data if it hasn't been returned yet
 							if (!did) {
 								done(newData);
 								did = true;
 							}
 						} catch (err) {
-							// Cache the error with a shorter TTL to prevent infinite loops
-							if (typeof err === 'object') err.nw_loader = 1;
-							if (err && err.code) throw err;
-							if (typeof err !== 'object') err = new Error(err);
-							err.message = `NWLoader ${this.name}:${key} Error: ${err.message}`;
+							err = this.loaderError(err, key);
+							if (!loaded) {
+								const duration = Date.now() - loadTime;
+								this.track('refresh:end', { key, duration, outcome: 'error' });
+								this.track('loader:error', { key, duration, outcome: 'error', error: err });
+								// Stale data was served, keep it alive during the outage
+								if (did) await this.extendStale(key, v);
+							}
+							// Only errors of cold keys are cached, stale data is never replaced by an error
+							if (!v && !options.noCache) await this.cacheError(origKey, err, args);
 							throw err;
 						}
 					}, did);
@@ -181,7 +705,8 @@ class NWLoader {
 					// If current request didn't execute the loader and no data has been returned yet,
 					// try to load again (this will read from cache which was just populated)
 					if (!executed && !did) {
-						this.load(origKey).then(done).catch(reject);
+						const retry = Object.assign({}, options, { forceRefresh: false, noCache: false });
+						this.loadFromCache(origKey, key, args, Date.now(), retry).then(done).catch(reject);
 					}
 				}
 			} catch (err) {
@@ -189,57 +714,646 @@ class NWLoader {
 				if (!did) {
 					reject(err);
 				} else {
-					// If data already returned, just log the error (background update)
-					if (typeof err !== 'object') err = new Error(err);
-					err.message = `NWLoader ${this.name}:${key} Error: ${err.message}`;
-					err.code = 'nwloader-background-error';
-					console.error(err);
+					// If data already returned, just report the error (background update)
+					this.backgroundError(err, key, startTime);
+				}
+			}
+		});
+	}
+
+	/**
+	 * Load many entries at once
+	 * 
+	 * - Every key is read from Redis in one pipeline, or command by command with a Cluster
+	 * - Missing and stale keys are loaded with one `options.batchLoader(missingArgsList)` call,
+	 *   or with the loader function for each key if no batch loader is configured
+	 * - Loaded values are primed the same way
+	 * - Each key is still protected by its own race lock, keys being loaded by
+	 *   another request are waited for (missing) or skipped (stale) like `load()` does
+	 * - Every key is loaded even if others fail, then it rejects with the first error,
+	 *   unless options.returnErrors is set
+	 * 
+	 * @param {Array} argsList - arguments for each entry, a non-array item is taken as a single argument
+	 * @param {object} options - { returnErrors: resolve failed keys as their Error instead of rejecting }
+	 * @returns {Promise<Array>} - values in the same order as argsList
+	 */
+	async loadMany(argsList, options) {
+		if (!Array.isArray(argsList)) throw new Error('loadMany need an array of arguments');
+		options = Object.assign({ returnErrors: false }, options || {});
+		await this.syncGeneration();
+
+		// unique entries by cache key
+		const entries = new Map();
+		const keys = argsList.map(args => {
+			if (!Array.isArray(args)) args = [args];
+			const origKey = this.getBaseKey(args);
+			const key = this.getEntryKey(origKey);
+			if (!entries.has(key)) entries.set(key, { args, origKey, key });
+			return key;
+		});
+
+		const startTime = Date.now();
+		const values = new Map();
+		const errors = new Map();
+		const pending = [];
+		for (const entry of entries.values()) {
+			const hit = this.memory && this.memory.get(entry.key);
+			if (hit) {
+				this.track('hit', { key: entry.key, tier: 'memory', duration: Date.now() - startTime, outcome: 'fresh' });
+				values.set(entry.key, hit.value);
+			} else {
+				if (this.memory) this.counters.memory.misses++;
+				pending.push(entry);
+			}
+		}
+
+		if (pending.length) {
+			this.debug(`try to load ${pending.length} keys from cache`);
+			const pipeline = createBatch(this.redis);
+			pending.forEach(({ key }) => pipeline.get(key).pttl(key));
+			const replies = await pipeline.exec();
+			await Promise.all(pending.map(async (entry, i) => {
+				if (replies[i * 2][0] || replies[i * 2][1]) return;
+				const rawValue = await this.readLegacy(entry.origKey);
+				if (rawValue) replies[i * 2] = [null, rawValue];
+			}));
+			// compressed entries are decompressed in parallel
+			const parsed = await Promise.all(pending.map((entry, i) => replies[i * 2][0] ? null : this.parse(entry.key, replies[i * 2][1])));
+
+			const duration = Date.now() - startTime;
+			const refresh = [];
+			pending.forEach((entry, i) => {
+				const [getErr, rawValue] = replies[i * 2];
+				const [ttlErr, pttl] = replies[i * 2 + 1];
+				if (getErr) {
+					errors.set(entry.key, getErr);
+					return;
+				}
+
+				const v = parsed[i];
+				if (v && v.error) {
+					this.track('hit', { key: entry.key, tier: 'redis', duration, outcome: 'error' });
+					errors.set(entry.key, this.restoreError(v.error));
+					return;
+				}
+				if (!v) {
+					this.track('miss', { key: entry.key, duration, outcome: 'miss' });
+					entry.missing = true;
+					refresh.push(entry);
+					return;
+				}
+
+				values.set(entry.key, v.value);
+				entry.envelope = v;
+				const freshTime = !ttlErr && pttl > 0 ? Math.max(0, pttl - this.entryTtl(v) * 1000) : 0;
+				const outcome = freshTime > 0 ? 'fresh' : (this.inGrace(v) ? 'grace' : 'stale');
+				this.track('hit', { key: entry.key, tier: 'redis', duration, outcome });
+				if (freshTime > 0) {
+					this.remember(entry.key, v.value, freshTime, Buffer.byteLength(rawValue));
+					if (this.refreshEarly(v, freshTime)) {
+						entry.early = true;
+						refresh.push(entry);
+					}
+				} else {
+					this.track('stale', { key: entry.key, duration, outcome });
+					refresh.push(entry);
 				}
+			});
+
+			if (refresh.some(entry => entry.missing)) {
+				const loaded = await this.refreshMany(refresh, startTime);
+				loaded.values.forEach((value, key) => values.set(key, value));
+				loaded.errors.forEach((err, key) => {
+					// stale keys which failed to refresh are still served
+					if (values.has(key)) this.backgroundError(err, key, startTime);
+					else errors.set(key, err);
+				});
+			} else if (refresh.length) {
+				// only stale keys, refresh them in background
+				this.refreshMany(refresh, startTime)
+					.then(loaded => loaded.errors.forEach((err, key) => this.backgroundError(err, key, startTime)))
+					.catch(err => this.backgroundError(err, refresh.map(entry => entry.key).join(','), startTime));
+			}
+		}
+
+		if (!options.returnErrors) {
+			const failed = keys.find(key => errors.has(key));
+			if (failed) throw errors.get(failed);
+		}
+		return keys.map(key => errors.has(key) ? errors.get(key) : values.get(key));
+	}
+
+	/**
+	 * Load and prime entries which are missing or stale, used by loadMany
+	 * @param {number} startTime - when loadMany was called
+	 * @returns {Promise<object>} - { values, errors } by cache key
+	 */
+	async refreshMany(entries, startTime) {
+		const loaded = new Map();
+		const failed = new Map();
+		const byLockName = new Map(entries.map(entry => [this.getLockName(entry.origKey), entry]));
+
+		const { acquired } = await this.lock.raceMany([...byLockName.keys()], async (lockNames) => {
+			const loading = lockNames.map(name => byLockName.get(name));
+			this.debug(`loading ${loading.length} keys from loader`);
+			loading.forEach(entry => {
+				this.track('refresh:start', { key: entry.key, duration: Date.now() - startTime, outcome: entry.missing ? 'miss' : (entry.early ? 'early' : 'stale') });
+			});
+			const loadTime = Date.now();
+			let results;
+			try {
+				results = await this.batchLoad(loading.map(entry => entry.args));
+			} catch (err) {
+				// the whole batch failed, every key failed with the same error
+				results = loading.map(() => err instanceof Error ? err : new Error(err));
 			}
+			const duration = Date.now() - loadTime;
+
+			const primes = [];
+			const errors = [];
+			loading.forEach((entry, i) => {
+				const key = entry.key;
+				if (results[i] instanceof Error) {
+					const error = this.loaderError(results[i], key);
+					errors.push({ entry, error });
+					this.track('refresh:end', { key, duration, outcome: 'error' });
+					this.track('loader:error', { key, duration, outcome: 'error', error });
+					return;
+				}
+				this.track('refresh:end', { key, duration, outcome: 'success' });
+				loaded.set(entry.key, results[i]);
+				primes.push([entry.origKey, results[i], { args: entry.args, delta: duration }]);
+			});
+			await this.primeEntries(primes);
+			await Promise.all(errors.map(({ entry, error }) => {
+				failed.set(entry.key, error);
+				if (entry.missing) return this.cacheError(entry.origKey, error, entry.args);
+				return this.extendStale(entry.key, entry.envelope);
+			}));
 		});
+
+		// keys being loaded by another request, wait for them like load() does
+		const others = entries.filter(entry => entry.missing && !acquired.includes(this.getLockName(entry.origKey)));
+		await Promise.all(others.map(async (entry) => {
+			try {
+				loaded.set(entry.key, await this.load(...entry.args));
+			} catch (err) {
+				failed.set(entry.key, err);
+			}
+		}));
+
+		return { values: loaded, errors: failed };
+	}
+
+	/**
+	 * Call the batch loader, or the loader function for each arguments
+	 * @returns {Promise<Array>} - values in the same order, failed items are Error instances
+	 */
+	async batchLoad(argsList) {
+		if (typeof this.options.batchLoader !== 'function') {
+			return Promise.all(argsList.map(args => {
+				return Promise.resolve().then(() => this.loader(...args)).catch(err => {
+					return err instanceof Error ? err : new Error(err);
+				});
+			}));
+		}
+
+		const results = await this.options.batchLoader(argsList);
+		if (!Array.isArray(results) || results.length !== argsList.length) {
+			throw new Error(`NWLoader ${this.name} batchLoader should return an array with ${argsList.length} items`);
+		}
+		return results;
+	}
+
+	/**
+	 * Preload entries, e.g. after a Redis flush or before a new deploy takes traffic
+	 * - Entries are loaded under the race lock like load(), but stale entries are waited for instead of served
+	 * - Fresh entries are skipped unless skipFresh is false
+	 * - A failed key is reported and doesn't stop the run
+	 * @param {Iterable|AsyncIterable} argsIterable - arguments lists, a non-array item is a single argument
+	 * @param {object} options - { concurrency: 10, skipFresh: true, onProgress }
+	 *   onProgress({ key, args, outcome, error, done, loaded, skipped, failed }) is called after each key,
+	 *   outcome is 'loaded', 'skipped' or 'failed'
+	 * @returns {Promise<object>} - { loaded, skipped, failed, errors: [{ key, args, error }] }
+	 */
+	async warm(argsIterable, options) {
+		options = Object.assign({ concurrency: 10, skipFresh: true, onProgress: null }, options || {});
+		if (!argsIterable || (typeof argsIterable[Symbol.iterator] !== 'function' && typeof argsIterable[Symbol.asyncIterator] !== 'function')) {
+			throw new Error('warm need an iterable of arguments');
+		}
+		if (!(options.concurrency >= 1)) throw new Error('warm need concurrency of 1 or more');
+
+		// shared by the workers, items are read lazily
+		const iterator = typeof argsIterable[Symbol.asyncIterator] === 'function' ? argsIterable[Symbol.asyncIterator]() : argsIterable[Symbol.iterator]();
+		const result = { loaded: 0, skipped: 0, failed: 0, errors: [] };
+		let stopped = false;
+
+		const warmOne = async (args) => {
+			if (!Array.isArray(args)) args = [args];
+			let key = null;
+			try {
+				await this.syncGeneration();
+				key = this.getEntryKey(this.getBaseKey(args));
+				if (options.skipFresh && !await this.needsRefresh(key)) return { key, args, outcome: 'skipped' };
+				await this.loadWith({ forceRefresh: true }, ...args);
+				return { key, args, outcome: 'loaded' };
+			} catch (error) {
+				return { key, args, outcome: 'failed', error };
+			}
+		};
+
+		const worker = async () => {
+			try {
+				while (!stopped) {
+					const { value, done } = await iterator.next();
+					if (done) return;
+					const progress = await warmOne(value);
+					result[progress.outcome]++;
+					if (progress.error) result.errors.push({ key: progress.key, args: progress.args, error: progress.error });
+					if (options.onProgress) {
+						options.onProgress(Object.assign(progress, {
+							done: result.loaded + result.skipped + result.failed,
+							loaded: result.loaded,
+							skipped: result.skipped,
+							failed: result.failed
+						}));
+					}
+				}
+			} catch (err) {
+				// the iterable or onProgress threw, stop the other workers
+				stopped = true;
+				throw err;
+			}
+		};
+
+		await Promise.all(Array.from({ length: options.concurrency }, worker));
+		this.debug(`warmed ${result.loaded} keys, skipped ${result.skipped}, failed ${result.failed}`);
+		return result;
+	}
+
+	/**
+	 * Decorate errors thrown by the loader with the loader name and key
+	 */
+	loaderError(err, key) {
+		if (!err || typeof err !== 'object') err = new Error(err);
+		if (err.nw_loader) return err;
+		err.nw_loader = 1;
+		if (err.code) return err;
+		err.message = `NWLoader ${this.name}:${key} Error: ${err.message}`;
+		return err;
+	}
+
+	/**
+	 * Parse a raw value read from redis
+	 * The value is decoded with the serializer recorded in the envelope,
+	 * entries without one were written as plain JSON
+	 * @returns {Promise<object|null>} - the cached envelope, or null if missing or invalid
+	 */
+	async parse(key, rawValue) {
+		if (rawValue === null || rawValue === undefined) return null;
+		let v = null;
+		try {
+			v = JSON.parse(rawValue);
+			if (!v || !v.createTime) return null;
+			// written by another version of the loader, the value may have another shape
+			if ((v.version === undefined ? null : v.version) !== this.options.version) {
+				this.debug(`${key} has version ${v.version}, ignored`);
+				return null;
+			}
+			if (v.compression || (v.serializer && v.serializer !== 'json')) {
+				const name = v.serializer || 'json';
+				const serializer = name === this.serializer.name ? this.serializer : serializers.resolve(name);
+				let data = v.data;
+				if (v.compression) {
+					const startTime = performance.now();
+					data = await compressors.decompress(v.compression, Buffer.from(v.data, 'base64'));
+					this.latency.decompress.record(performance.now() - startTime);
+					// encoding tells whether the serializer output was a Buffer
+					if (v.encoding !== 'base64') data = data.toString();
+				} else if (v.encoding === 'base64') {
+					data = Buffer.from(v.data, 'base64');
+				}
+				v.value = serializer.decode(data);
+				delete v.data;
+			}
+		} catch (parseErr) {
+			console.error(`NWLoader: Failed to parse cached value for key ${key}`, parseErr);
+			return null;
+		}
+		return v;
+	}
+
+	/**
+	 * Serialize a value into the envelope stored in redis
+	 * JSON values are stored inline, other serializers store their output in `data`
+	 * Compressed output is stored in `data` as base64, with the algorithm in `compression`
+	 * @returns {Promise<string>}
+	 */
+	async serialize(value, ttl, delta) {
+		const envelope = {
+			createTime: Date.now(),
+			serializer: this.serializer.name
+		};
+		// ttl of this entry when it is not options.ttl
+		if (ttl !== undefined && ttl !== this.options.ttl) envelope.ttl = ttl;
+		// duration of the loader call, for early refreshes
+		if (delta) envelope.delta = delta;
+		if (this.options.version !== null) envelope.version = this.options.version;
+		const data = this.serializer.name === 'json' ? null : this.serializer.encode(value);
+		const compressed = await this.compress(data === null ? JSON.stringify(value) : data);
+		if (compressed) {
+			envelope.compression = this.compression.algorithm;
+			if (Buffer.isBuffer(data)) envelope.encoding = 'base64';
+			envelope.data = compressed.toString('base64');
+		} else if (data === null) {
+			envelope.value = value;
+		} else if (Buffer.isBuffer(data)) {
+			envelope.encoding = 'base64';
+			envelope.data = data.toString('base64');
+		} else {
+			envelope.data = data;
+		}
+		return JSON.stringify(envelope);
+	}
+
+	/**
+	 * Compress serialized data of options.compression.threshold bytes or more
+	 * @returns {Promise<Buffer|null>} - null if the data is stored as is
+	 */
+	async compress(data) {
+		// JSON.stringify(undefined) is undefined
+		if (!this.compression || data === undefined) return null;
+		const counters = this.counters.compression;
+		const size = Buffer.byteLength(data);
+		if (size < this.compression.threshold) {
+			counters.skipped++;
+			return null;
+		}
+		const startTime = performance.now();
+		const compressed = await compressors.compress(this.compression, data);
+		this.latency.compress.record(performance.now() - startTime);
+		// incompressible data
+		if (compressed.length >= size) {
+			counters.skipped++;
+			return null;
+		}
+		counters.compressed++;
+		counters.bytes += size;
+		counters.compressedBytes += compressed.length;
+		return compressed;
 	}
 
 	//clear cache
 	async clear(key) {
-		const result = await this.redis.del(this.getKey(key));
+		return this.clearEntry(this.normalizeKey(key));
+	}
+
+	// clear the entry of a normalized key, see getBaseKey()
+	async clearEntry(origKey) {
+		await this.syncGeneration();
+		const key = this.getEntryKey(origKey);
+		if (this.memory) this.memory.delete(key);
+		let result = await this.redis.del(key);
+		// the old key would be served again on the next miss
+		if (this.options.hashTag && this.options.legacyKeys) result += await this.redis.del(this.getLegacyKey(origKey));
 		return result > 0 ? 1 : 0;
 	}
 
-	//prime cache
-	async prime(origKey, value) {
-		let key = this.getKey(origKey);
-		// Use this.redis directly and handle JSON serialization
-		const serializedValue = JSON.stringify({
-			createTime: Date.now(),
-			value
+	/**
+	 * Scan every cached entry of this loader, batch by batch
+	 * On Redis Cluster every master node is scanned
+	 * @yields {{node: object, keys: Array}}
+	 */
+	async *scan(count) {
+		// escape glob characters, loader names may contain [ and ]
+		const escape = s => String(s).replace(/[*?[\]\\]/g, '\\$&');
+		const legacy = `${escape(this.options.keyPrefix)}:${escape(this.name)}`;
+		const layouts = !this.options.hashTag ? [legacy] : [`${escape(this.options.keyPrefix)}:{${escape(this.name)}`];
+		if (this.options.hashTag && this.options.legacyKeys) layouts.push(legacy);
+		const patterns = [];
+		layouts.forEach(layout => {
+			patterns.push(`${layout}:*`);
+			// entries of every generation
+			if (this.options.generations) patterns.push(`${layout}@*`);
 		});
-		// 'EX' option for ioredis expects seconds
-		const result = await this.redis.set(key, serializedValue, 'EX', this.options.ttl * 2);
+		const nodes = typeof this.redis.nodes === 'function' ? this.redis.nodes('master') : [this.redis];
+
+		for (const node of nodes) {
+			for (const pattern of patterns) {
+				let cursor = '0';
+				do {
+					const [next, keys] = await node.scan(cursor, 'MATCH', pattern, 'COUNT', count);
+					cursor = String(next);
+					if (keys.length) yield { node, keys };
+				} while (cursor !== '0');
+			}
+		}
+	}
+
+	/**
+	 * Iterate over the Redis keys of every cached entry of this loader using SCAN
+	 * A key may be returned more than once, as SCAN does
+	 * @param {object} options - { count: SCAN COUNT hint }
+	 */
+	async *keys(options) {
+		options = Object.assign({ count: 100 }, options || {});
+		for await (const { keys } of this.scan(options.count)) {
+			yield* keys;
+		}
+	}
+
+	/**
+	 * Delete every cached entry of this loader, in batches with UNLINK
+	 * @param {object} options - { count: SCAN COUNT hint }
+	 * @returns {Promise<number>} - number of deleted entries
+	 */
+	async clearAll(options) {
+		options = Object.assign({ count: 100 }, options || {});
+		if (this.memory) this.memory.clear();
+
+		let deleted = 0;
+		for await (const { node, keys } of this.scan(options.count)) {
+			// one UNLINK per key, keys on the same cluster node may still be in different slots
+			const pipeline = node.pipeline();
+			keys.forEach(key => pipeline.unlink(key));
+			const replies = await pipeline.exec();
+			replies.forEach(([err, result]) => {
+				if (err) throw err;
+				deleted += result;
+			});
+		}
+		this.debug(`cleared ${deleted} keys`);
+		return deleted;
+	}
+
+	/**
+	 * Get the tags of an entry: `options.tags` of the loader plus tags passed explicitly
+	 */
+	getTags(value, options) {
+		let result = this.options.tags || [];
+		if (typeof result === 'function') result = result(value, options && options.args) || [];
+		if (options && options.tags) result = result.concat(options.tags);
+		return [...new Set(result)];
+	}
+
+	/**
+	 * prime cache
+	 * @param {*} key
+	 * @param {*} value
+	 * @param {object} options - { tags: explicit tags of this entry, ttl: instead of options.ttl, args: of the loader,
+	 *   delta: duration of the loader call in ms }
+	 * @returns {Promise<boolean>} - false if not cached, see cacheTtl()
+	 */
+	async prime(key, value, options) {
+		return this.primeEntry(this.normalizeKey(key), value, options);
+	}
+
+	// prime the entry of a normalized key, see prime()
+	async primeEntry(origKey, value, options) {
+		const startTime = Date.now();
+		await this.syncGeneration();
+		let key = this.getEntryKey(origKey);
+		const ttl = this.cacheTtl(value, options);
+		if (!ttl) {
+			// the previous value is outdated, don't keep serving it
+			this.debug(`not caching ${key}`);
+			await this.clearEntry(origKey);
+			return false;
+		}
+		const serializedValue = await this.serialize(value, ttl, options && options.delta);
+		// 'PX' allows ttl functions to return fractions of seconds
+		const result = await this.redis.set(key, serializedValue, 'PX', Math.round(ttl * 2000));
+		if (result === 'OK') {
+			// the entry is cached, a failure to tag it must not fail the load
+			await tags.addTags(this.redis, key, this.getTags(value, options), Math.round(ttl * 2000), this.options.tagPrefix)
+				.catch(err => this.backgroundError(err, key, startTime));
+			this.remember(key, value, ttl * 1000, Buffer.byteLength(serializedValue));
+		}
 		return result === 'OK';
 	}
 
-	//prime cache with error
-	// async primeError(origKey, error) {
-	// 	let key = this.getKey(origKey);
-	// 	// Store error with a shorter TTL to avoid infinite error loops
-	// 	const errorTTL = Math.min(this.options.ttl, 5); // Use minimum of configured TTL or 5 seconds
-	// 	const serializedValue = JSON.stringify({
-	// 		createTime: Date.now(),
-	// 		error: {
-	// 			message: error.message,
-	// 			code: error.code,
-	// 			stack: error.stack
-	// 		}
-	// 	});
-	// 	// 'EX' option for ioredis expects seconds
-	// 	const result = await this.redis.set(key, serializedValue, 'EX', errorTTL);
-	// 	return result === 'OK';
-	// }
+	//prime many entries in one pipeline, entries are [key, value, options] items
+	//a Cluster rejects pipelines across nodes, the commands are sent one by one there
+	async primeMany(entries) {
+		return this.primeEntries(entries.map(([key, value, options]) => [this.normalizeKey(key), value, options]));
+	}
+
+	// primeMany() with normalized keys
+	async primeEntries(entries) {
+		if (!entries.length) return [];
+		const startTime = Date.now();
+		await this.syncGeneration();
+		const pipeline = createBatch(this.redis);
+		let commands = 0;
+		const ttls = entries.map(([, value, options]) => this.cacheTtl(value, options));
+		const values = await Promise.all(entries.map(([, value, options], i) => ttls[i] && this.serialize(value, ttls[i], options && options.delta)));
+		const serialized = entries.map(([origKey, value, options], i) => {
+			const key = this.getEntryKey(origKey);
+			const ttl = ttls[i];
+			const index = commands;
+			if (!ttl) {
+				pipeline.del(key);
+				commands++;
+				return { key, ttl, index };
+			}
+			const serializedValue = values[i];
+			pipeline.set(key, serializedValue, 'PX', Math.round(ttl * 2000));
+			const tagCount = tags.queueTags(pipeline, key, this.getTags(value, options), Math.round(ttl * 2000), this.options.tagPrefix);
+			commands += 1 + tagCount;
+			return { key, value, serializedValue, ttl, index, tagCount };
+		});
+
+		const replies = await pipeline.exec();
+		return serialized.map(({ key, value, serializedValue, ttl, index, tagCount }) => {
+			if (!ttl) {
+				if (this.memory) this.memory.delete(key);
+				return false;
+			}
+			const [err, result] = replies[index];
+			if (err || result !== 'OK') return false;
+			const tagError = replies.slice(index + 1, index + 1 + tagCount).find(([err]) => err);
+			if (tagError) this.backgroundError(tagError[0], key, startTime);
+			this.remember(key, value, ttl * 1000, Buffer.byteLength(serializedValue));
+			return true;
+		});
+	}
+
+	/**
+	 * Prime cache with an error
+	 * Until it expires after `options.errorTtl` seconds, load() rejects with the
+	 * restored error without calling the loader function.
+	 * Only the name, message, code and `options.errorFields` of the error are stored.
+	 */
+	async primeError(key, error) {
+		return this.primeErrorEntry(this.normalizeKey(key), error);
+	}
+
+	// primeError() with a normalized key
+	async primeErrorEntry(origKey, error) {
+		await this.syncGeneration();
+		let key = this.getEntryKey(origKey);
+		const fields = {
+			name: error.name,
+			message: error.message,
+			code: error.code
+		};
+		for (const field of this.options.errorFields) {
+			if (error[field] !== undefined) fields[field] = error[field];
+		}
+		const envelope = {
+			createTime: Date.now(),
+			error: fields
+		};
+		if (this.options.version !== null) envelope.version = this.options.version;
+		const serializedValue = JSON.stringify(envelope);
+		// 'PX' allows sub-second error ttl
+		const result = await this.redis.set(key, serializedValue, 'PX', Math.round(this.options.errorTtl * 1000));
+		return result === 'OK';
+	}
+
+	/**
+	 * Negative cache an error thrown by the loader for a cold key, if enabled and allowed by `options.shouldCacheError`
+	 */
+	async cacheError(origKey, error, args) {
+		if (!this.options.errorTtl) return false;
+		if (this.options.shouldCacheError && !this.options.shouldCacheError(error, args)) return false;
+		try {
+			return await this.primeErrorEntry(origKey, error);
+		} catch (err) {
+			console.error(`NWLoader: Failed to cache error for ${this.name}:${origKey}`, err);
+			return false;
+		}
+	}
+
+	/**
+	 * Rebuild an error stored by primeError
+	 */
+	restoreError(fields) {
+		const err = new Error(fields.message);
+		Object.assign(err, fields);
+		err.nw_loader = 1;
+		err.nw_cached = 1;
+		return err;
+	}
 }
 
 
 module.exports = NWLoader;
 
+module.exports.serializers = serializers;
+
+/**
+ * Delete every entry recorded with any of the tags, across all loaders
+ * Entries in the memory tier of other processes live until their fresh window ends
+ * @param {object} redis - Redis-like instance
+ * @param {Array|string} tagList
+ * @param {object} options - { prefix: tag prefix, defaults to 'nwloader:tag' }
+ * @returns {Promise<number>} - number of deleted entries
+ */
+NWLoader.invalidateTags = function(redis, tagList, options) {
+	return tags.invalidateTags(redis, tagList, options);
+};
+
 module.exports.cacheable = function(name, options) {
 	return function(origFunc) {
 		// Ensure options always includes redis instance for cacheable
@@ -247,8 +1361,11 @@ module.exports.cacheable = function(name, options) {
 			 throw new Error('cacheable decorator requires a Redis-like instance in options.redis');
 		}
 		let loader = new NWLoader(name, origFunc, options);
-		return function(...args) {
+		const cached = function(...args) {
 			return loader.load(...args);
 		};
+		cached.loadWith = (loadOptions, ...args) => loader.loadWith(loadOptions, ...args);
+		cached.warm = (argsIterable, warmOptions) => loader.warm(argsIterable, warmOptions);
+		return cached;
 	};
 };
\ No newline at end of file
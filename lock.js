@@ -2,36 +2,246 @@ const debug = require('debug')('nwlock');
 const md5 = require('./md5');
 const delay = require('delay');
 const crypto = require('crypto'); // 引入 crypto 模块生成 token
+const EventEmitter = require('events');
+const Subscriber = require('./subscriber');
+const { LockTimeoutError, LockLostError, AbortError } = require('./errors');
 
-class Lock {
+/**
+ * Events, every payload has the lock name as `key`, a duration in ms and an outcome:
+ * - lock:acquired { key, type, duration, delayed, outcome: 'acquired' } duration is the time spent waiting
+ *   type is all, race, read, write or semaphore
+ * - lock:wait { key, type, duration, outcome: 'wait' } the lock is held by someone else and this call waits,
+ *   duration is the time spent trying before waiting
+ * - lock:ignored { key, type, duration, outcome: 'ignored' } the lock is held by someone else and this call gives up
+ * - lock:lost { key, type, duration, outcome: 'lost' } the watchdog could not extend the lock, the task signal is aborted,
+ *   duration is the time the lock was held
+ */
+class Lock extends EventEmitter {
 
 	constructor(redisInstance, options) {
+		super();
 		// Check if redisInstance has the required methods
-		if (!redisInstance) {
+		if (!redisInstance || (Array.isArray(redisInstance) && !redisInstance.length)) {
 			 throw new Error('Lock requires a Redis-like instance with set, get, del, and createScript methods');
 		}
 
-		this.redis = redisInstance;
+		// With several independent instances, locks are taken on a majority of them (Redlock)
+		// The first one is subscribed to for release notifications, the others are polled
+		this.clients = Array.isArray(redisInstance) ? redisInstance : [redisInstance];
+		this.quorum = Math.floor(this.clients.length / 2) + 1;
+		this.redis = this.clients[0];
 
 		// Prepare the Lua script for safe lock release
-		// This script checks if the lock value matches the provided token before deleting it.
+		// This script checks if the lock value matches the provided token before deleting it,
+		// then publishes on the channel of the key (ARGV[2]) to wake up waiters.
 		this.releaseScript = `
 			if redis.call("GET", KEYS[1]) == ARGV[1] then
-				return redis.call("DEL", KEYS[1])
+				local result = redis.call("DEL", KEYS[1])
+				redis.call("PUBLISH", ARGV[2], 1)
+				return result
 			else
 				return 0
 			end
 		`;
 
+		// Take the lock and increment its fencing counter, returns 0 if the lock is held
+		// The counter has no expiration so fencing tokens never go back
+		this.acquireFencedScript = `
+			if redis.call("SET", KEYS[1], ARGV[1], "PX", ARGV[2], "NX") then
+				return redis.call("INCR", KEYS[2])
+			else
+				return 0
+			end
+		`;
+
+		// Fair all() locks: KEYS[1] lock key, KEYS[2] fence key, KEYS[3] queue scored by arrival,
+		// KEYS[4] same queue scored by the time waiters are dropped unless they try again
+		// ARGV[1] token, ARGV[2] timeout in ms, ARGV[3] now in ms, ARGV[4] ms a waiter stays queued,
+		// ARGV[5] "1" to increment the fencing counter
+		// Returns { fencing token or 1 without fencing, 0 if not acquired, number of waiters ahead, pttl of the lock }
+		this.fairLockScript = `
+			local now = tonumber(ARGV[3])
+			local registered = tonumber(ARGV[4])
+			for _, gone in ipairs(redis.call("ZRANGEBYSCORE", KEYS[4], "-inf", now)) do
+				redis.call("ZREM", KEYS[3], gone)
+				redis.call("ZREM", KEYS[4], gone)
+			end
+			if not redis.call("ZSCORE", KEYS[3], ARGV[1]) then
+				local last = redis.call("ZRANGE", KEYS[3], -1, -1, "WITHSCORES")
+				redis.call("ZADD", KEYS[3], last[2] and tonumber(last[2]) + 1 or 1, ARGV[1])
+			end
+			local position = redis.call("ZRANK", KEYS[3], ARGV[1])
+			if position == 0 and redis.call("SET", KEYS[1], ARGV[1], "PX", ARGV[2], "NX") then
+				redis.call("ZREM", KEYS[3], ARGV[1])
+				redis.call("ZREM", KEYS[4], ARGV[1])
+				if ARGV[5] == "1" then
+					return { redis.call("INCR", KEYS[2]), 0, 0 }
+				end
+				return { 1, 0, 0 }
+			end
+			redis.call("ZADD", KEYS[4], now + registered, ARGV[1])
+			for i = 3, 4 do
+				if redis.call("PTTL", KEYS[i]) < registered then
+					redis.call("PEXPIRE", KEYS[i], registered)
+				end
+			end
+			return { 0, position, redis.call("PTTL", KEYS[1]) }
+		`;
+
+		// KEYS[1] lock key, KEYS[2] and KEYS[3] queues, ARGV[1] token, ARGV[2] channel
+		// The next waiter may be first now, wake it up
+		this.fairLeaveScript = `
+			redis.call("ZREM", KEYS[2], ARGV[1])
+			redis.call("ZREM", KEYS[3], ARGV[1])
+			redis.call("PUBLISH", ARGV[2], 1)
+			return 1
+		`;
+
+		// Extend the lock only if it is still held by the given token
+		this.extendScript = `
+			if redis.call("GET", KEYS[1]) == ARGV[1] then
+				return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+			else
+				return 0
+			end
+		`;
+
+		// Read-write locks: KEYS[1] writer key, KEYS[2] readers, KEYS[3] waiting writers,
+		// both sorted sets of tokens scored by the time they expire.
+		// Acquire scripts return 0 once acquired, otherwise the ms to wait before trying again.
+		// ARGV[1] token, ARGV[2] now in ms, ARGV[3] timeout in ms
+		this.readLockScript = `
+			local now = tonumber(ARGV[2])
+			local timeout = tonumber(ARGV[3])
+			redis.call("ZREMRANGEBYSCORE", KEYS[2], "-inf", now)
+			redis.call("ZREMRANGEBYSCORE", KEYS[3], "-inf", now)
+			local pttl = redis.call("PTTL", KEYS[1])
+			if pttl ~= -2 then
+				return math.max(pttl, 1)
+			end
+			-- writers waiting go first
+			local writer = redis.call("ZRANGE", KEYS[3], 0, 0, "WITHSCORES")
+			if writer[1] then
+				return tonumber(writer[2]) - now
+			end
+			redis.call("ZADD", KEYS[2], now + timeout, ARGV[1])
+			if redis.call("PTTL", KEYS[2]) < timeout then
+				redis.call("PEXPIRE", KEYS[2], timeout)
+			end
+			return 0
+		`;
+
+		// ARGV[4] ms a waiting writer stays registered, it registers again on every attempt
+		this.writeLockScript = `
+			local now = tonumber(ARGV[2])
+			local registered = tonumber(ARGV[4])
+			redis.call("ZREMRANGEBYSCORE", KEYS[2], "-inf", now)
+			redis.call("ZREMRANGEBYSCORE", KEYS[3], "-inf", now)
+			local wait = redis.call("PTTL", KEYS[1])
+			if wait == -2 then
+				local reader = redis.call("ZRANGE", KEYS[2], -1, -1, "WITHSCORES")
+				if not reader[1] then
+					redis.call("SET", KEYS[1], ARGV[1], "PX", ARGV[3])
+					redis.call("ZREM", KEYS[3], ARGV[1])
+					return 0
+				end
+				wait = tonumber(reader[2]) - now
+			end
+			-- readers coming from now on wait for this writer
+			redis.call("ZADD", KEYS[3], now + registered, ARGV[1])
+			if redis.call("PTTL", KEYS[3]) < registered then
+				redis.call("PEXPIRE", KEYS[3], registered)
+			end
+			return math.max(wait, 1)
+		`;
+
+		// KEYS[1] writer key, KEYS[2] readers, ARGV[1] token, ARGV[2] channel, ARGV[3] now in ms
+		// The last reader wakes up waiting writers, writers are released by releaseScript
+		this.readUnlockScript = `
+			local removed = redis.call("ZREM", KEYS[2], ARGV[1])
+			redis.call("ZREMRANGEBYSCORE", KEYS[2], "-inf", ARGV[3])
+			if removed == 1 and redis.call("ZCARD", KEYS[2]) == 0 then
+				redis.call("PUBLISH", ARGV[2], 1)
+			end
+			return removed
+		`;
+
+		// Extend a lease of readers or of a semaphore
+		// KEYS[1] sorted set, ARGV[1] token, ARGV[2] now in ms, ARGV[3] timeout in ms
+		this.leaseExtendScript = `
+			local now = tonumber(ARGV[2])
+			local timeout = tonumber(ARGV[3])
+			local score = redis.call("ZSCORE", KEYS[1], ARGV[1])
+			if score and tonumber(score) > now then
+				redis.call("ZADD", KEYS[1], now + timeout, ARGV[1])
+				if redis.call("PTTL", KEYS[1]) < timeout then
+					redis.call("PEXPIRE", KEYS[1], timeout)
+				end
+				return 1
+			end
+			return 0
+		`;
+
+		// Semaphores: KEYS[1] sorted set of holders scored by the time their lease expires
+		// ARGV[1] token, ARGV[2] now in ms, ARGV[3] timeout in ms, ARGV[4] limit
+		// Returns 0 once acquired, otherwise the ms until the first lease expires
+		this.semaphoreScript = `
+			local now = tonumber(ARGV[2])
+			local timeout = tonumber(ARGV[3])
+			redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now)
+			if redis.call("ZCARD", KEYS[1]) < tonumber(ARGV[4]) then
+				redis.call("ZADD", KEYS[1], now + timeout, ARGV[1])
+				if redis.call("PTTL", KEYS[1]) < timeout then
+					redis.call("PEXPIRE", KEYS[1], timeout)
+				end
+				return 0
+			end
+			local first = redis.call("ZRANGE", KEYS[1], 0, 0, "WITHSCORES")
+			return math.max(tonumber(first[2]) - now, 1)
+		`;
+
+		// KEYS[1] sorted set of holders, ARGV[1] token, ARGV[2] channel
+		this.semaphoreReleaseScript = `
+			local removed = redis.call("ZREM", KEYS[1], ARGV[1])
+			if removed == 1 then
+				redis.call("PUBLISH", ARGV[2], 1)
+			end
+			return removed
+		`;
+
 		this.options = Object.assign({
 			//prefix for every key
 			keyPrefix: 'nwlock',
 
-			//the check delay in ms
+			//the check delay in ms, used when release notifications are not available
 			checkLockDelay: 100,
 
+			//wait for release notifications with pub/sub instead of polling
+			//needs a redis instance with duplicate(), like ioredis
+			subscribe: true,
+
+			//max delay in ms between checks while waiting for release notifications
+			//a lock expiring by itself is noticed at its expiration anyway
+			fallbackCheckDelay: 1000,
+
 			//default timeout
-			defaultTimeout: 10000 //10 seconds
+			defaultTimeout: 10000, //10 seconds
+
+			//default max time in ms to wait for a lock, 0 waits forever
+			acquireTimeout: 0,
+
+			//extend the lock every timeout / 3 ms while the task runs
+			watchdog: false,
+
+			//all() waiters acquire the lock in arrival order
+			fair: false,
+
+			//pass increasing fencing tokens to all() tasks
+			//the counter of every lock name is a redis key that never expires
+			fencing: false,
+
+			//with several instances, part of the timeout kept as margin for clock drift between them
+			driftFactor: 0.01
 		}, options || {});
 
 		debug('new instance with options', this.options);
@@ -49,54 +259,318 @@ class Lock {
 		return crypto.randomBytes(20).toString('hex');
 	}
 
-	async getAllLock(lockName, timeout) {
+	// Channel the releases of a lock key are published on
+	// Named after the key as given to ioredis, so a client keyPrefix doesn't change it, and it keeps the hash tag
+	getChannel(key) {
+		return `${key}:released`;
+	}
+
+	/**
+	 * Try to take the lock once, without waiting
+	 * With several instances, the lock must be taken on a majority of them within its validity:
+	 * the timeout minus the time spent acquiring and a margin for clock drift.
+	 * Otherwise the instances that were locked are released.
+	 * @param {string} fenceKey - increment this counter along with the lock, single instance only
+	 * @returns {Promise<number|boolean>} - the fencing token with fenceKey, false if the lock is held
+	 */
+	async acquireLock(key, token, timeout, fenceKey) {
+		const acquire = client => client.set(key, token, 'PX', timeout, 'NX').then(r => r === 'OK');
+		if (this.clients.length === 1) {
+			if (fenceKey) return this.redis.eval(this.acquireFencedScript, 2, key, fenceKey, token, timeout);
+			return acquire(this.redis);
+		}
+
+		const startTime = Date.now();
+		const results = await Promise.all(this.clients.map(client => acquire(client).catch(err => {
+			debug(`failed to lock ${key} on one instance`, err);
+			return false;
+		})));
+		const locked = results.filter(Boolean);
+		const drift = Math.round(timeout * this.options.driftFactor) + 2;
+		const validity = timeout - (Date.now() - startTime) - drift;
+		if (locked.length >= this.quorum && validity > 0) return true;
+
+		debug(`${key} locked on ${locked.length}/${this.clients.length} instances, validity ${validity}ms`);
+		if (locked.length) await this.releaseLock(key, token);
+		return false;
+	}
+
+	// Release a lock only if it is still held by the given token
+	async releaseLock(key, token) {
+		if (this.clients.length === 1) {
+			return this.redis.eval(this.releaseScript, 1, key, token, this.getChannel(key));
+		}
+		// unreachable instances will let the lock expire
+		const results = await Promise.all(this.clients.map(client => {
+			return client.eval(this.releaseScript, 1, key, token, this.getChannel(key)).catch(err => {
+				debug(`failed to release ${key} on one instance`, err);
+				return 0;
+			});
+		}));
+		return results.reduce((sum, r) => sum + r, 0);
+	}
+
+	/**
+	 * Extend the lock only if it is still held by the given token
+	 * With several instances, it is lost once too many of them don't hold it to reach a majority,
+	 * and throws if that can't be told because of errors
+	 * @returns {Promise<boolean>} - false if the lock was lost
+	 */
+	async extendLock(key, token, timeout) {
+		if (this.clients.length === 1) {
+			return !!(await this.redis.eval(this.extendScript, 1, key, token, timeout));
+		}
+		const results = await Promise.all(this.clients.map(client => {
+			return client.eval(this.extendScript, 1, key, token, timeout).catch(err => err);
+		}));
+		if (results.filter(r => r === 1).length >= this.quorum) return true;
+		if (results.filter(r => r === 0).length > this.clients.length - this.quorum) return false;
+		throw results.find(r => r instanceof Error);
+	}
+
+	/**
+	 * ms until a lock key expires, -2 once it is released
+	 * With several instances, it is released once a majority of them don't hold it, so it can be taken again.
+	 * Unreachable instances are skipped, as they can't be locked, -1 if the expiration can't be told.
+	 * @returns {Promise<number>}
+	 */
+	async getLockPttl(key) {
+		if (this.clients.length === 1) return this.redis.pttl(key);
+		const results = await Promise.all(this.clients.map(client => client.pttl(key).catch(err => {
+			debug(`failed to check ${key} on one instance`, err);
+			return null;
+		})));
+		const free = results.filter(r => r === -2).length;
+		if (free >= this.quorum) return -2;
+		// the lock is free once enough of its holders expire
+		const expirations = results.filter(r => r !== null && r !== -2).map(r => r < 0 ? Infinity : r).sort((a, b) => a - b);
+		const pttl = expirations[this.quorum - free - 1];
+		return pttl === undefined || pttl === Infinity ? -1 : pttl;
+	}
+
+	// Start listening to the release of a lock key, returns null if notifications are disabled
+	watchRelease(key) {
+		if (!this.options.subscribe) return null;
+		return Subscriber.for(this.redis).watch(this.getChannel(key));
+	}
+
+	/**
+	 * Wait for a lock key to be released
+	 * Woken up by the release notification when subscribed, polling is only a fallback:
+	 * every `fallbackCheckDelay` ms, or when the lock expires by itself.
+	 * Polls every `checkLockDelay` ms without notifications, or until the subscription is ready.
+	 * @param {number} pttl - ms until the lock expires if already known
+	 */
+	async waitRelease(waiter, key, signal, pttl) {
+		if (!waiter) {
+			await delay(this.options.checkLockDelay, { signal }).catch(() => {});
+		} else {
+			if (pttl === undefined) pttl = await this.getLockPttl(key);
+			if (pttl === -2) return; // already released
+			const fallback = waiter.ready ? this.options.fallbackCheckDelay : this.options.checkLockDelay;
+			await waiter.wait(pttl > 0 ? Math.min(pttl, fallback) : fallback, signal);
+		}
+		if (signal && signal.aborted) throw signal.reason;
+	}
+
+	/**
+	 * Signal aborting the wait for a lock, by the caller's signal or after acquireTimeout ms
+	 * The reason is an AbortError or a LockTimeoutError
+	 * @returns {{signal: AbortSignal|null, clear: Function}} - clear() removes the timer and listener
+	 */
+	_acquireSignal(lockName, options) {
+		const { signal, acquireTimeout } = options;
+		if (!signal && !acquireTimeout) return { signal: null, clear() {} };
+
+		const controller = new AbortController();
+		const onAbort = () => controller.abort(new AbortError(`NWLock: aborted waiting for lock ${lockName}`, signal.reason));
+		if (signal) {
+			if (signal.aborted) onAbort();
+			else signal.addEventListener('abort', onAbort, { once: true });
+		}
+		const timer = acquireTimeout ? setTimeout(() => {
+			controller.abort(new LockTimeoutError(lockName, acquireTimeout));
+		}, acquireTimeout) : null;
+
+		return {
+			signal: controller.signal,
+			clear() {
+				clearTimeout(timer);
+				if (signal) signal.removeEventListener('abort', onAbort);
+			}
+		};
+	}
+
+	/**
+	 * Context passed to tasks as second argument
+	 * Its signal aborts when the caller's signal aborts, or when the watchdog lost the lock
+	 * @returns {{context: object, clear: Function}}
+	 */
+	_taskContext(lockName, type, delayed, options, extend, timeout) {
+		const controller = new AbortController();
+		const { signal } = options;
+		const onAbort = () => controller.abort(new AbortError(`NWLock: task aborted for lock ${lockName}`, signal.reason));
+		if (signal) {
+			if (signal.aborted) onAbort();
+			else signal.addEventListener('abort', onAbort, { once: true });
+		}
+		const stopWatchdog = options.watchdog && extend
+			? this._startWatchdog(lockName, type, extend, timeout, reason => controller.abort(reason))
+			: () => {};
+		return {
+			context: { delayed, signal: controller.signal },
+			clear() {
+				stopWatchdog();
+				if (signal) signal.removeEventListener('abort', onAbort);
+			}
+		};
+	}
+
+	/**
+	 * Extend the lock every timeout / 3 ms until stopped
+	 * Redis errors are retried at the next interval, onLost is called once the lock is held by someone else
+	 * @param {Function} extend - extends the lock by timeout ms, resolves false if it was lost
+	 * @returns {Function} - stops the watchdog
+	 */
+	_startWatchdog(lockName, type, extend, timeout, onLost) {
+		const interval = Math.max(1, Math.floor(timeout / 3));
+		const startTime = Date.now();
+		let stopped = false, timer = null;
+
+		const renew = async () => {
+			try {
+				const extended = await extend();
+				if (stopped) return;
+				if (!extended) {
+					stopped = true;
+					debug(`lost lock ${lockName}`);
+					this.emit('lock:lost', { key: lockName, type, duration: Date.now() - startTime, outcome: 'lost' });
+					onLost(new LockLostError(lockName));
+					return;
+				}
+				debug(`extended lock ${lockName} by ${timeout}ms`);
+			} catch (err) {
+				debug(`failed to extend lock ${lockName}`, err);
+			}
+			if (!stopped) timer = setTimeout(renew, interval);
+		};
+		timer = setTimeout(renew, interval);
+
+		return () => {
+			stopped = true;
+			clearTimeout(timer);
+		};
+	}
+
+	async getAllLock(lockName, timeout, signal, fencing) {
 		debug(`getting all lock for ${lockName}`);
 		let delayed = false;
 		const key = this.getKey(lockName) + ':all';
+		// counters of different majorities don't increase together, a token could be given twice
+		if (fencing && this.clients.length > 1) throw new Error('NWLock: fencing tokens need a single Redis instance');
+		const fenceKey = fencing ? this.getKey(lockName) + ':fence' : undefined;
 		const token = this._generateToken(); // Generate a unique token for this lock attempt
+		const startTime = Date.now();
+		let waiter = null, fencingToken = null;
 		
-		do {
-			// Set the lock key with an expiration. Value is the unique token.
-			let r = await this.redis.set(key, token, 'PX', timeout, 'NX');
-			if (r === 'OK') break; // Got the lock (ioredis returns 'OK' on success for NX)
-			debug(`locked, wait ${this.options.checkLockDelay}ms for ${lockName}`);
-			delayed = true;
-			await delay(this.options.checkLockDelay);
-		} while (true);
+		try {
+			do {
+				if (signal && signal.aborted) throw signal.reason;
+				// Set the lock key with an expiration. Value is the unique token.
+				fencingToken = await this.acquireLock(key, token, timeout, fenceKey);
+				if (fencingToken) break; // Got the lock
+				debug(`locked, wait for release of ${lockName}`);
+				if (!delayed) this.emit('lock:wait', { key: lockName, type: 'all', duration: Date.now() - startTime, outcome: 'wait' });
+				delayed = true;
+				if (!waiter) waiter = this.watchRelease(key);
+				await this.waitRelease(waiter, key, signal);
+			} while (true);
+		} finally {
+			if (waiter) waiter.close();
+		}
 		if (delayed) debug(`unlocked for ${lockName}`);
+		this.emit('lock:acquired', { key: lockName, type: 'all', duration: Date.now() - startTime, delayed, outcome: 'acquired' });
 		// Return the token along with delayed status so it can be used for unlocking
-		return { delayed, token, key };
+		return { delayed, token, key, fencingToken: fencing ? Number(fencingToken) : undefined };
 	}
 
-	async getRaceLock(lockName, timeout, ignore) {
+	/**
+	 * Like getAllLock(), but waiters are queued and acquire the lock in arrival order
+	 * Waiters giving up leave the queue, crashed ones are dropped once they stop trying.
+	 * @param {Function} onPosition - called with the number of waiters ahead whenever it changes
+	 */
+	async getFairLock(lockName, timeout, signal, onPosition, fencing) {
+		if (this.clients.length > 1) throw new Error('NWLock: fair locks need a single Redis instance');
+		debug(`getting fair lock for ${lockName}`);
+		const key = this.getKey(lockName) + ':all';
+		const keys = [key, this.getKey(lockName) + ':fence', key + ':queue', key + ':queue:expire'];
+		const token = this._generateToken();
+		// a waiter tries again before this expires, unless it crashed
+		const registered = 3 * Math.max(this.options.checkLockDelay, this.options.fallbackCheckDelay);
+		const startTime = Date.now();
+		let delayed = false, waiter = null, fencingToken = 0, position = null;
+
+		try {
+			do {
+				if (signal && signal.aborted) throw signal.reason;
+				const [fence, ahead, pttl] = await this.redis.eval(this.fairLockScript, 4, ...keys, token, timeout, Date.now(), registered, fencing ? 1 : 0);
+				fencingToken = fence;
+				if (fencingToken) break;
+				if (ahead !== position) {
+					position = ahead;
+					debug(`${position} waiters ahead for ${lockName}`);
+					if (onPosition) onPosition(position);
+				}
+				if (!delayed) this.emit('lock:wait', { key: lockName, type: 'all', duration: Date.now() - startTime, outcome: 'wait' });
+				delayed = true;
+				if (!waiter) waiter = this.watchRelease(key);
+				// not held, waiting for the waiters ahead to take it
+				await this.waitRelease(waiter, key, signal, pttl === -2 ? -1 : pttl);
+			} while (true);
+		} finally {
+			if (waiter) waiter.close();
+			if (!fencingToken) {
+				await this.redis.eval(this.fairLeaveScript, 3, key, keys[2], keys[3], token, this.getChannel(key)).catch(() => {});
+			}
+		}
+		this.emit('lock:acquired', { key: lockName, type: 'all', duration: Date.now() - startTime, delayed, outcome: 'acquired' });
+		return { delayed, token, key, fencingToken: fencing ? fencingToken : undefined };
+	}
+
+	async getRaceLock(lockName, timeout, ignore, signal) {
 		debug(`getting race lock for ${lockName}`);
 		let delayed = false, ignored = false;
 		const key = this.getKey(lockName) + ':race';
 		const token = this._generateToken(); // Generate a unique token for this lock attempt
+		const startTime = Date.now();
 
 		// Try to get the lock
-		let r = await this.redis.set(key, token, 'PX', timeout, 'NX');
-
-		if (r === 'OK') {
+		if (await this.acquireLock(key, token, timeout)) {
 			debug(`${lockName} not locked`);
+			this.emit('lock:acquired', { key: lockName, type: 'race', duration: 0, delayed, outcome: 'acquired' });
 			return { delayed, ignored, token, key };
 		}
 
 		if (ignore) {
 			debug(`ignore race lock for ${lockName}`);
+			this.emit('lock:ignored', { key: lockName, type: 'race', duration: Date.now() - startTime, outcome: 'ignored' });
 			ignored = true;
 			return { delayed, ignored, token: null, key }; // No token if ignored
 		}
 
 		// Wait until lock is released or expires
-		while (true) {
-			debug(`race locked, wait ${this.options.checkLockDelay}ms for ${lockName}`);
-			delayed = true;
-			await delay(this.options.checkLockDelay);
-			// Check if key still exists in cache (i.e., is locked)
-			// If key is null, it means it expired or was deleted.
-			const currentValue = await this.redis.get(key);
-			if (currentValue === null) break;
+		this.emit('lock:wait', { key: lockName, type: 'race', duration: Date.now() - startTime, outcome: 'wait' });
+		const waiter = this.watchRelease(key);
+		try {
+			while (true) {
+				debug(`race locked, wait for release of ${lockName}`);
+				delayed = true;
+				await this.waitRelease(waiter, key, signal);
+				// Check if the lock is still held, it expired or was deleted otherwise
+				if (await this.getLockPttl(key) === -2) break;
+			}
+		} finally {
+			if (waiter) waiter.close();
 		}
 
 		debug(`race unlocked for ${lockName}`);
@@ -105,30 +579,60 @@ class Lock {
 		return { delayed, ignored, token: null, key };
 	}
 
-	async all(lockName, timeout, task) {
+	/**
+	 * Run the task while holding the lock, waiting for it if needed
+	 * @param {*} lockName
+	 * @param {number} timeout - lock timeout in ms, optional
+	 * @param {Function} task - called with (delayed, { delayed, signal, fencingToken }),
+	 *   with fencing, fencingToken increases with every acquisition of the lock
+	 * @param {object} options - { acquireTimeout, signal, watchdog, fair, onPosition, fencing }, waiting rejects with a
+	 *   LockTimeoutError after acquireTimeout ms, or with an AbortError when the signal aborts.
+	 *   With watchdog, the lock is extended while the task runs.
+	 *   With fair, waiters acquire the lock in arrival order and onPosition(ahead) is called when their position changes.
+	 */
+	async all(lockName, timeout, task, options) {
 		if (!lockName) throw new Error('need lockName');
-		if (!task && typeof timeout === 'function') {
+		if (typeof timeout === 'function') {
+			options = task;
 			task = timeout;
 			timeout = this.options.defaultTimeout;
 		}
 		if (typeof task !== 'function') throw new Error('task should be function returns Promise');
+		options = Object.assign({
+			acquireTimeout: this.options.acquireTimeout,
+			watchdog: this.options.watchdog,
+			fair: this.options.fair,
+			fencing: this.options.fencing
+		}, options);
 
-		let { delayed, token, key } = await this.getAllLock(lockName, timeout);
+		const acquire = this._acquireSignal(lockName, options);
+		let delayed, token, key, fencingToken;
+		try {
+			({ delayed, token, key, fencingToken } = options.fair
+				? await this.getFairLock(lockName, timeout, acquire.signal, options.onPosition, options.fencing)
+				: await this.getAllLock(lockName, timeout, acquire.signal, options.fencing));
+		} finally {
+			acquire.clear();
+		}
 		let err = null, result = undefined;
 
 		debug(`executing task for ${lockName}`);
+		const extend = () => this.extendLock(key, token, timeout);
+		const { context, clear } = this._taskContext(lockName, 'all', delayed, options, extend, timeout);
+		if (options.fencing) context.fencingToken = fencingToken;
 		try {
-			result = await task(delayed);
+			result = await task(delayed, context);
 		} catch (_err) {
 			console.error(`NWLock: task throws error for ${lockName}: `, _err);
 			err = _err;
 		}
+		clear();
 
 		debug(`task executed for ${lockName}`);
 		// Safely release the lock using the token
 		if (token) {
 			try {
-				const releaseResult = await this.redis.eval(this.releaseScript, 1, key, token);
+				const releaseResult = await this.releaseLock(key, token);
 				debug(`Lock release result for ${lockName}: ${releaseResult}`);
 			} catch (releaseErr) {
 				console.error(`NWLock: failed to release lock for ${lockName}: `, releaseErr);
@@ -141,24 +645,46 @@ class Lock {
 		return result;
 	}
 
+	/**
+	 * Run the task only if nobody else holds the lock
+	 * @param {*} lockName
+	 * @param {number} timeout - lock timeout in ms, optional
+	 * @param {Function} task - called with (delayed, { delayed, signal })
+	 * @param {boolean|object} ignore - give up if the lock is held (default true), otherwise wait for its release.
+	 *   Can be an options object { ignore, acquireTimeout, signal, watchdog }, see all()
+	 */
 	async race(lockName, timeout, task, ignore) {
 		if (!lockName) throw new Error('need lockName');
-		// Store the original ignore value to preserve default
-		const originalIgnore = ignore;
 		if (typeof timeout === 'function') {
 			ignore = task;
 			task = timeout;
 			timeout = this.options.defaultTimeout;
 		}
+
+		let options = {};
+		if (ignore && typeof ignore === 'object') {
+			options = ignore;
+			ignore = options.ignore;
+		}
+		options = Object.assign({
+			acquireTimeout: this.options.acquireTimeout,
+			watchdog: this.options.watchdog
+		}, options);
 		
 		// Set default value for ignore parameter if not provided
-		if (originalIgnore === undefined && ignore === undefined) {
+		if (ignore === undefined) {
 			ignore = true;
 		}
 
 		if (typeof task !== 'function') throw new Error('task should be function returns Promise');
 
-		let { delayed, ignored, token, key } = await this.getRaceLock(lockName, timeout, ignore);
+		const acquire = this._acquireSignal(lockName, options);
+		let delayed, ignored, token, key;
+		try {
+			({ delayed, ignored, token, key } = await this.getRaceLock(lockName, timeout, ignore, acquire.signal));
+		} finally {
+			acquire.clear();
+		}
 		let err = null, result = undefined;
 		
 		// If ignored or delayed (and thus didn't get the lock after waiting), return immediately
@@ -170,21 +696,24 @@ class Lock {
 		}
 
 		debug(`executing race task for ${lockName}`);
+		const extend = token && (() => this.extendLock(key, token, timeout));
+		const { context, clear } = this._taskContext(lockName, 'race', delayed, options, extend, timeout);
 		try {
-			result = await task(delayed);
+			result = await task(delayed, context);
 		} catch (_err) {
 			if (!_err || !_err.nw_loader) console.error(`Lock: task throws error for ${lockName}: `, _err);
 			// For race method, if the task fails, we still consider it "executed" but with an error
 			// The caller can check the result to see if it's an error
 			err = _err;
 		}
+		clear();
 		debug(`task executed for ${lockName}`);
 		
 		// Safely release the lock using the token.
 		// The token is only present if this call was the one that initially acquired the lock.
 		if (token) {
 			try {
-				const releaseResult = await this.redis.eval(this.releaseScript, 1, key, token);
+				const releaseResult = await this.releaseLock(key, token);
 				debug(`Lock release result for ${lockName} (race): ${releaseResult}`);
 			} catch (releaseErr) {
 				console.error(`NWLock: failed to release race lock for ${lockName}: `, releaseErr);
@@ -205,7 +734,284 @@ class Lock {
 			result
 		};
 	}
+
+	/**
+	 * Race lock for many lock names at once.
+	 * Every name is tried without waiting, and the task runs once with the names this call acquired.
+	 * Names locked by others are ignored, the caller decides what to do with them.
+	 * If a name can't be tried, the names acquired meanwhile are released and the error is thrown.
+	 * 
+	 * @param {Function} task - called with (acquired, { delayed, signal })
+	 * @param {object} options - { signal, watchdog }, see race(), the watchdog extends every acquired lock
+	 * @returns {Promise<{acquired: Array, result: *}>}
+	 */
+	async raceMany(lockNames, timeout, task, options) {
+		if (!Array.isArray(lockNames)) throw new Error('need lockNames array');
+		if (typeof timeout === 'function') {
+			options = task;
+			task = timeout;
+			timeout = this.options.defaultTimeout;
+		}
+		if (typeof task !== 'function') throw new Error('task should be function returns Promise');
+		options = Object.assign({
+			watchdog: this.options.watchdog
+		}, options);
+
+		const settled = await Promise.allSettled(lockNames.map(lockName => this.getRaceLock(lockName, timeout, true)));
+		const failure = settled.find(({ status }) => status === 'rejected');
+		const locks = settled.map(({ value }) => value || {});
+		if (failure) {
+			await this.releaseMany(lockNames, locks);
+			throw failure.reason;
+		}
+		const acquired = lockNames.filter((lockName, i) => !locks[i].ignored);
+		if (!acquired.length) {
+			return {
+				acquired,
+				result: null
+			};
+		}
+
+		let err = null, result = undefined;
+		debug(`executing race task for ${acquired.length} locks`);
+		const held = locks.filter(({ token }) => token);
+		const extend = () => Promise.all(held.map(({ key, token }) => this.extendLock(key, token, timeout)))
+			.then(extended => extended.every(Boolean));
+		const { context, clear } = this._taskContext(acquired.join(','), 'race', false, options, extend, timeout);
+		try {
+			result = await task(acquired, context);
+		} catch (_err) {
+			if (!_err || !_err.nw_loader) console.error(`Lock: task throws error for ${acquired.join(',')}: `, _err);
+			err = _err;
+		}
+		clear();
+
+		await this.releaseMany(lockNames, locks);
+
+		if (err) throw err;
+
+		return {
+			acquired,
+			result
+		};
+	}
+
+	// Release the race locks of raceMany() this call holds, failures are logged
+	async releaseMany(lockNames, locks) {
+		await Promise.all(locks.map(async ({ token, key }, i) => {
+			if (!token) return;
+			try {
+				await this.releaseLock(key, token);
+			} catch (releaseErr) {
+				console.error(`NWLock: failed to release race lock for ${lockNames[i]}: `, releaseErr);
+			}
+		}));
+	}
+
+	// Writer key, readers and waiting writers of a read-write lock
+	getReadWriteKeys(lockName) {
+		const key = this.getKey(lockName) + ':rw';
+		return [key, key + ':readers', key + ':writers'];
+	}
+
+	async getReadWriteLock(lockName, type, timeout, signal) {
+		if (this.clients.length > 1) throw new Error('NWLock: read-write locks need a single Redis instance');
+		debug(`getting ${type} lock for ${lockName}`);
+		const keys = this.getReadWriteKeys(lockName);
+		const script = type === 'read' ? this.readLockScript : this.writeLockScript;
+		const token = this._generateToken();
+		// a waiting writer registers again before this expires, unless it crashed
+		const registered = 3 * Math.max(this.options.checkLockDelay, this.options.fallbackCheckDelay);
+		const startTime = Date.now();
+		let delayed = false, acquired = false, waiter = null;
+
+		try {
+			do {
+				if (signal && signal.aborted) throw signal.reason;
+				const wait = await this.redis.eval(script, 3, ...keys, token, Date.now(), timeout, registered);
+				if (!wait) break;
+				debug(`${type} locked, wait for release of ${lockName}`);
+				if (!delayed) this.emit('lock:wait', { key: lockName, type, duration: Date.now() - startTime, outcome: 'wait' });
+				delayed = true;
+				// read and write releases are both published on the writer key
+				if (!waiter) waiter = this.watchRelease(keys[0]);
+				await this.waitRelease(waiter, keys[0], signal, wait);
+			} while (true);
+			acquired = true;
+		} finally {
+			if (waiter) waiter.close();
+			// readers should not wait for a writer that gave up
+			if (!acquired && type === 'write') await this.redis.zrem(keys[2], token).catch(() => {});
+		}
+		this.emit('lock:acquired', { key: lockName, type, duration: Date.now() - startTime, delayed, outcome: 'acquired' });
+		return { delayed, token, keys };
+	}
+
+	/**
+	 * Run the task sharing the lock with other readers, while no writer holds or waits for it
+	 * @param {*} lockName
+	 * @param {number} timeout - lock timeout in ms, optional
+	 * @param {Function} task - called with (delayed, { delayed, signal })
+	 * @param {object} options - { acquireTimeout, signal, watchdog }, see all()
+	 */
+	read(lockName, timeout, task, options) {
+		return this.readWrite('read', lockName, timeout, task, options);
+	}
+
+	/**
+	 * Run the task alone, once current readers are done
+	 * Readers coming while a writer waits wait for it, so writers are not starved.
+	 * Arguments are the same as read()
+	 */
+	write(lockName, timeout, task, options) {
+		return this.readWrite('write', lockName, timeout, task, options);
+	}
+
+	async readWrite(type, lockName, timeout, task, options) {
+		if (!lockName) throw new Error('need lockName');
+		if (typeof timeout === 'function') {
+			options = task;
+			task = timeout;
+			timeout = this.options.defaultTimeout;
+		}
+		if (typeof task !== 'function') throw new Error('task should be function returns Promise');
+		options = Object.assign({
+			acquireTimeout: this.options.acquireTimeout,
+			watchdog: this.options.watchdog
+		}, options);
+
+		const acquire = this._acquireSignal(lockName, options);
+		let delayed, token, keys;
+		try {
+			({ delayed, token, keys } = await this.getReadWriteLock(lockName, type, timeout, acquire.signal));
+		} finally {
+			acquire.clear();
+		}
+		let err = null, result = undefined;
+
+		debug(`executing ${type} task for ${lockName}`);
+		const extend = type === 'read'
+			? async () => !!(await this.redis.eval(this.leaseExtendScript, 1, keys[1], token, Date.now(), timeout))
+			: () => this.extendLock(keys[0], token, timeout);
+		const { context, clear } = this._taskContext(lockName, type, delayed, options, extend, timeout);
+		try {
+			result = await task(delayed, context);
+		} catch (_err) {
+			console.error(`NWLock: ${type} task throws error for ${lockName}: `, _err);
+			err = _err;
+		}
+		clear();
+
+		try {
+			if (type === 'read') {
+				await this.redis.eval(this.readUnlockScript, 2, keys[0], keys[1], token, this.getChannel(keys[0]), Date.now());
+			} else {
+				await this.releaseLock(keys[0], token);
+			}
+		} catch (releaseErr) {
+			console.error(`NWLock: failed to release ${type} lock for ${lockName}: `, releaseErr);
+		}
+
+		if (err) throw err;
+		return result;
+	}
+
+	async getSemaphore(lockName, limit, timeout, ignore, signal) {
+		if (this.clients.length > 1) throw new Error('NWLock: semaphores need a single Redis instance');
+		debug(`getting semaphore for ${lockName}`);
+		const key = this.getKey(lockName) + ':semaphore';
+		const token = this._generateToken();
+		const startTime = Date.now();
+		let delayed = false, waiter = null;
+
+		try {
+			do {
+				if (signal && signal.aborted) throw signal.reason;
+				const wait = await this.redis.eval(this.semaphoreScript, 1, key, token, Date.now(), timeout, limit);
+				if (!wait) break;
+				if (ignore) {
+					debug(`ignore semaphore for ${lockName}`);
+					this.emit('lock:ignored', { key: lockName, type: 'semaphore', duration: Date.now() - startTime, outcome: 'ignored' });
+					return { delayed, ignored: true, token: null, key };
+				}
+				debug(`semaphore full, wait for release of ${lockName}`);
+				if (!delayed) this.emit('lock:wait', { key: lockName, type: 'semaphore', duration: Date.now() - startTime, outcome: 'wait' });
+				delayed = true;
+				if (!waiter) waiter = this.watchRelease(key);
+				await this.waitRelease(waiter, key, signal, wait);
+			} while (true);
+		} finally {
+			if (waiter) waiter.close();
+		}
+		this.emit('lock:acquired', { key: lockName, type: 'semaphore', duration: Date.now() - startTime, delayed, outcome: 'acquired' });
+		return { delayed, ignored: false, token, key };
+	}
+
+	/**
+	 * Run the task while holding one of `limit` leases, expired leases are reclaimed
+	 * @param {*} lockName
+	 * @param {number} limit - max number of tasks running at once
+	 * @param {Function} task - called with (delayed, { delayed, signal })
+	 * @param {object} options - { timeout, ignore, acquireTimeout, signal, watchdog }
+	 *   timeout is the lease timeout in ms, defaults to defaultTimeout.
+	 *   ignore gives up if every lease is held (default true), otherwise waits for one, see race() and all()
+	 * @returns {Promise<{executed: boolean, result: *}>}
+	 */
+	async semaphore(lockName, limit, task, options) {
+		if (!lockName) throw new Error('need lockName');
+		if (!Number.isInteger(limit) || limit < 1) throw new Error('limit should be a positive integer');
+		if (typeof task !== 'function') throw new Error('task should be function returns Promise');
+		options = Object.assign({
+			timeout: this.options.defaultTimeout,
+			ignore: true,
+			acquireTimeout: this.options.acquireTimeout,
+			watchdog: this.options.watchdog
+		}, options);
+		const { timeout } = options;
+
+		const acquire = this._acquireSignal(lockName, options);
+		let delayed, ignored, token, key;
+		try {
+			({ delayed, ignored, token, key } = await this.getSemaphore(lockName, limit, timeout, options.ignore, acquire.signal));
+		} finally {
+			acquire.clear();
+		}
+		if (ignored) {
+			return {
+				executed: false,
+				result: null
+			};
+		}
+		let err = null, result = undefined;
+
+		debug(`executing semaphore task for ${lockName}`);
+		const extend = async () => !!(await this.redis.eval(this.leaseExtendScript, 1, key, token, Date.now(), timeout));
+		const { context, clear } = this._taskContext(lockName, 'semaphore', delayed, options, extend, timeout);
+		try {
+			result = await task(delayed, context);
+		} catch (_err) {
+			console.error(`NWLock: semaphore task throws error for ${lockName}: `, _err);
+			err = _err;
+		}
+		clear();
+
+		try {
+			await this.redis.eval(this.semaphoreReleaseScript, 1, key, token, this.getChannel(key));
+		} catch (releaseErr) {
+			console.error(`NWLock: failed to release semaphore for ${lockName}: `, releaseErr);
+		}
+
+		if (err) throw err;
+		return {
+			executed: true,
+			result
+		};
+	}
 }
 
 
-module.exports = Lock;
\ No newline at end of file
+module.exports = Lock;
+
+module.exports.LockTimeoutError = LockTimeoutError;
+module.exports.LockLostError = LockLostError;
+module.exports.AbortError = AbortError;
\ No newline at end of file
@@ -0,0 +1,92 @@
+/**
+ * A small in-process LRU cache used as the L1 tier in front of Redis.
+ *
+ * Entries are kept in a Map, whose iteration order is insertion order, so the
+ * first key is always the least recently used one. Every entry carries its own
+ * expiration time and an approximate size in bytes.
+ */
+class LRU {
+
+	constructor(options) {
+		this.options = Object.assign({
+
+			//max number of entries, 0 means unlimited
+			max: 1000,
+
+			//max total size in bytes, 0 means unlimited
+			maxSize: 0
+
+		}, options || {});
+
+		this.map = new Map();
+		this.totalSize = 0;
+	}
+
+	get size() {
+		return this.map.size;
+	}
+
+	get bytes() {
+		return this.totalSize;
+	}
+
+	/**
+	 * get an entry, returns undefined if not found or expired
+	 * a found entry is moved to the most recently used position
+	 */
+	get(key) {
+		const entry = this.map.get(key);
+		if (!entry) return undefined;
+		if (entry.expireAt <= Date.now()) {
+			this.delete(key);
+			return undefined;
+		}
+		this.map.delete(key);
+		this.map.set(key, entry);
+		return entry;
+	}
+
+	/**
+	 * set an entry
+	 * @param {string} key
+	 * @param {*} value
+	 * @param {number} ttl - milliseconds this entry stays valid
+	 * @param {number} size - approximate size in bytes
+	 */
+	set(key, value, ttl, size) {
+		this.delete(key);
+		if (!(ttl > 0)) return false;
+		size = size || 0;
+		if (this.options.maxSize && size > this.options.maxSize) return false;
+
+		this.map.set(key, { value, size, expireAt: Date.now() + ttl });
+		this.totalSize += size;
+		this.evict();
+		return true;
+	}
+
+	delete(key) {
+		const entry = this.map.get(key);
+		if (!entry) return false;
+		this.map.delete(key);
+		this.totalSize -= entry.size;
+		return true;
+	}
+
+	clear() {
+		this.map.clear();
+		this.totalSize = 0;
+	}
+
+	//drop least recently used entries until both limits are satisfied
+	evict() {
+		const { max, maxSize } = this.options;
+		while ((max && this.map.size > max) || (maxSize && this.totalSize > maxSize)) {
+			const oldest = this.map.keys().next().value;
+			this.delete(oldest);
+		}
+	}
+}
+
+
+module.exports = LRU;
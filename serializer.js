@@ -0,0 +1,99 @@
+const v8 = require('v8');
+
+/**
+ * Serializers turn cached values into strings or Buffers and back.
+ *
+ * A serializer is an object with:
+ * - name: stored in every envelope, so entries written by another serializer are still read correctly
+ * - encode(value): returns a string or a Buffer
+ * - decode(data): receives what encode returned (a Buffer if encode returned a Buffer)
+ */
+
+const TAG = '$t';
+
+// plain JSON, values are stored inline in the envelope
+const json = {
+	name: 'json',
+	encode: value => JSON.stringify(value),
+	decode: data => JSON.parse(data)
+};
+
+//convert special values into tagged plain objects
+function toTagged(value) {
+	if (typeof value === 'bigint') return { [TAG]: 'BigInt', v: value.toString() };
+	if (typeof value === 'number' && !Number.isFinite(value)) return { [TAG]: 'Number', v: String(value) };
+	if (!value || typeof value !== 'object') return value;
+
+	if (value instanceof Date) {
+		return { [TAG]: 'Date', v: isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString() };
+	}
+	if (Buffer.isBuffer(value)) return { [TAG]: 'Buffer', v: value.toString('base64') };
+	if (value instanceof Map) return { [TAG]: 'Map', v: Array.from(value, ([k, v]) => [toTagged(k), toTagged(v)]) };
+	if (value instanceof Set) return { [TAG]: 'Set', v: Array.from(value, toTagged) };
+	if (value instanceof RegExp) return { [TAG]: 'RegExp', v: [value.source, value.flags] };
+	if (Array.isArray(value)) return value.map(toTagged);
+	if (typeof value.toJSON === 'function') return toTagged(value.toJSON());
+
+	const obj = {};
+	for (const key of Object.keys(value)) {
+		if (value[key] !== undefined) obj[key] = toTagged(value[key]);
+	}
+	// objects using the tag key themselves are stored as entries, so they are never mistaken for a tag
+	if (Object.prototype.hasOwnProperty.call(obj, TAG)) return { [TAG]: 'Object', v: Object.entries(obj) };
+	return obj;
+}
+
+//JSON.parse reviver, runs bottom-up so nested values are already restored
+function fromTagged(key, value) {
+	if (!value || typeof value !== 'object' || Array.isArray(value) || typeof value[TAG] !== 'string') return value;
+	const v = value.v;
+	switch (value[TAG]) {
+		case 'BigInt': return BigInt(v);
+		case 'Number': return Number(v);
+		case 'Date': return new Date(v);
+		case 'Buffer': return Buffer.from(v, 'base64');
+		case 'Map': return new Map(v);
+		case 'Set': return new Set(v);
+		case 'RegExp': return new RegExp(v[0], v[1]);
+		case 'Object': return Object.fromEntries(v);
+		default: return value;
+	}
+}
+
+// JSON with type tags for Date, Buffer, Map, Set, BigInt, RegExp and non-finite numbers
+const typed = {
+	name: 'typed',
+	encode: value => JSON.stringify(toTagged(value)),
+	decode: data => JSON.parse(data, fromTagged)
+};
+
+// node's structured clone format, binary
+const v8Serializer = {
+	name: 'v8',
+	encode: value => v8.serialize(value),
+	decode: data => v8.deserialize(data)
+};
+
+const builtins = {
+	json,
+	typed,
+	v8: v8Serializer
+};
+
+/**
+ * get a serializer from a built-in name or a custom serializer object
+ */
+function resolve(serializer) {
+	if (!serializer) return json;
+	if (typeof serializer === 'string') {
+		if (!builtins[serializer]) throw new Error(`NWLoader unknown serializer ${serializer}`);
+		return builtins[serializer];
+	}
+	if (!serializer.name || typeof serializer.encode !== 'function' || typeof serializer.decode !== 'function') {
+		throw new Error('NWLoader serializer need name, encode and decode');
+	}
+	return serializer;
+}
+
+
+module.exports = Object.assign({ resolve }, builtins);
@@ -0,0 +1,44 @@
+/**
+ * Keeps the most recent durations in a ring buffer and reports percentiles over them.
+ */
+class Latency {
+
+	constructor(size) {
+		this.size = size || 1000;
+		this.samples = [];
+		this.next = 0;
+		this.count = 0;
+	}
+
+	record(duration) {
+		this.count++;
+		if (this.samples.length < this.size) {
+			this.samples.push(duration);
+		} else {
+			this.samples[this.next] = duration;
+			this.next = (this.next + 1) % this.size;
+		}
+	}
+
+	/**
+	 * @returns {object} - { count, mean, p50, p90, p99, max } in milliseconds, over the recent samples
+	 */
+	snapshot() {
+		const sorted = this.samples.slice().sort((a, b) => a - b);
+		const percentile = p => sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)] : 0;
+		const sum = sorted.reduce((total, duration) => total + duration, 0);
+		return {
+			count: this.count,
+			mean: sorted.length ? sum / sorted.length : 0,
+			p50: percentile(0.5),
+			p90: percentile(0.9),
+			p99: percentile(0.99),
+			max: sorted.length ? sorted[sorted.length - 1] : 0
+		};
+	}
+}
+
+
+module.exports = {
+	Latency
+};
@@ -0,0 +1,174 @@
+const debug = require('debug')('nwlock:subscriber');
+
+// one subscriber per redis instance, shared by every lock of the process
+const subscribers = new WeakMap();
+
+/**
+ * Waits for the release of one lock key, published on the channel of that key
+ */
+class Waiter {
+
+	constructor(subscriber, channel) {
+		this.subscriber = subscriber;
+		this.channel = channel;
+		this.notified = false;
+		this.resolve = null;
+		this.timer = null;
+	}
+
+	// whether notifications can be received, if not the caller should poll
+	get ready() {
+		return this.subscriber.isSubscribed(this.channel);
+	}
+
+	/**
+	 * wait until the key is released, ms elapsed or the signal aborts
+	 * @returns {Promise<boolean>} - true if woken up by a release
+	 */
+	wait(ms, signal) {
+		if (this.notified) {
+			this.notified = false;
+			return Promise.resolve(true);
+		}
+		if (signal && signal.aborted) return Promise.resolve(false);
+		return new Promise(resolve => {
+			const onAbort = () => this.wake(false);
+			if (signal) signal.addEventListener('abort', onAbort, { once: true });
+			this.resolve = notified => {
+				if (signal) signal.removeEventListener('abort', onAbort);
+				resolve(notified);
+			};
+			this.timer = setTimeout(() => this.wake(false), ms);
+		});
+	}
+
+	notify() {
+		if (this.resolve) {
+			this.wake(true);
+		} else {
+			this.notified = true;
+		}
+	}
+
+	wake(notified) {
+		clearTimeout(this.timer);
+		const resolve = this.resolve;
+		this.resolve = null;
+		this.timer = null;
+		if (resolve) resolve(notified);
+	}
+
+	close() {
+		this.wake(false);
+		this.subscriber.remove(this);
+	}
+}
+
+/**
+ * Shares one subscribed connection, duplicated from a redis instance, between all waiters.
+ * Every lock key has its own channel, subscribed to while someone waits for its release,
+ * so a process only receives the releases it waits for.
+ * The connection is closed once nobody waits for a while, so it never keeps the process alive.
+ */
+class Subscriber {
+
+	static for(redis) {
+		let subscriber = subscribers.get(redis);
+		if (!subscriber) {
+			subscriber = new Subscriber(redis);
+			subscribers.set(redis, subscriber);
+		}
+		return subscriber;
+	}
+
+	constructor(redis) {
+		this.redis = redis;
+		this.client = null;
+		this.channels = new Map(); // channel -> { subscribed }
+		this.waiters = new Map(); // channel -> Set(waiter)
+		this.count = 0;
+		this.idleTimeout = 1000;
+		this.idleTimer = null;
+	}
+
+	isSubscribed(channel) {
+		const state = this.channels.get(channel);
+		return !!state && state.subscribed;
+	}
+
+	/**
+	 * register a waiter for the release of a key, subscribing to its channel in background if needed
+	 * @returns {Waiter}
+	 */
+	watch(channel) {
+		const waiter = new Waiter(this, channel);
+		if (!this.waiters.has(channel)) this.waiters.set(channel, new Set());
+		this.waiters.get(channel).add(waiter);
+		this.count++;
+
+		clearTimeout(this.idleTimer);
+		this.subscribe(channel);
+		return waiter;
+	}
+
+	remove(waiter) {
+		const set = this.waiters.get(waiter.channel);
+		if (!set || !set.delete(waiter)) return;
+		if (!set.size) {
+			this.waiters.delete(waiter.channel);
+			this.unsubscribe(waiter.channel);
+		}
+		this.count--;
+		if (!this.count) {
+			clearTimeout(this.idleTimer);
+			this.idleTimer = setTimeout(() => this.close(), this.idleTimeout);
+		}
+	}
+
+	subscribe(channel) {
+		if (this.channels.has(channel)) return;
+		if (!this.client) {
+			if (typeof this.redis.duplicate !== 'function') return;
+			this.client = this.redis.duplicate();
+			this.client.on('message', channel => this.notify(channel));
+			this.client.on('error', err => debug('subscriber error', err));
+		}
+
+		const client = this.client;
+		// unsubscribed meanwhile if it is no longer the state of the channel
+		const state = { subscribed: false };
+		this.channels.set(channel, state);
+		client.subscribe(channel).then(() => {
+			if (client !== this.client || this.channels.get(channel) !== state) return;
+			debug(`subscribed to ${channel}`);
+			state.subscribed = true;
+		}).catch(err => {
+			// waiters keep polling
+			debug(`failed to subscribe to ${channel}`, err);
+			if (client === this.client && this.channels.get(channel) === state) this.channels.delete(channel);
+		});
+	}
+
+	unsubscribe(channel) {
+		if (!this.channels.delete(channel) || !this.client) return;
+		this.client.unsubscribe(channel).catch(err => debug(`failed to unsubscribe from ${channel}`, err));
+	}
+
+	notify(channel) {
+		const set = this.waiters.get(channel);
+		if (!set) return;
+		debug(`${channel} released`);
+		set.forEach(waiter => waiter.notify());
+	}
+
+	close() {
+		if (this.count || !this.client) return;
+		debug('closing idle subscriber');
+		this.client.disconnect();
+		this.client = null;
+		this.channels.clear();
+	}
+}
+
+
+module.exports = Subscriber;
@@ -0,0 +1,100 @@
+const debug = require('debug')('nwloader:tags');
+const createBatch = require('./batch');
+
+/**
+ * Tag sets are Redis sorted sets of data keys, scored by the time the data key expires.
+ * Every time a key is added, members which already expired are removed and the set
+ * itself expires with its longest living member, so tag sets never grow without bound.
+ */
+
+const defaultPrefix = 'nwloader:tag';
+
+// KEYS[1] tag key, ARGV[1] data key, ARGV[2] now in ms, ARGV[3] ttl of data key in ms
+const addScript = `
+	local now = tonumber(ARGV[2])
+	local ttl = tonumber(ARGV[3])
+	redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now)
+	redis.call("ZADD", KEYS[1], now + ttl, ARGV[1])
+	if redis.call("PTTL", KEYS[1]) < ttl then
+		redis.call("PEXPIRE", KEYS[1], ttl)
+	end
+	return 1
+`;
+
+function getTagKey(tag, prefix) {
+	return `${prefix || defaultPrefix}:${tag}`;
+}
+
+/**
+ * queue the commands recording a data key in the sets of its tags
+ * @param {object} pipeline - redis pipeline, or a batch with a Cluster as tag keys are in other slots
+ * @param {string} key - data key
+ * @param {Array} tags
+ * @param {number} ttl - milliseconds the data key lives
+ * @param {string} prefix - prefix of tag keys
+ * @returns {number} - number of queued commands
+ */
+function queueTags(pipeline, key, tags, ttl, prefix) {
+	if (!tags || !tags.length) return 0;
+	const now = Date.now();
+	tags.forEach(tag => pipeline.eval(addScript, 1, getTagKey(tag, prefix), key, now, ttl));
+	return tags.length;
+}
+
+/**
+ * record a data key in the sets of its tags
+ */
+async function addTags(redis, key, tags, ttl, prefix) {
+	if (!tags || !tags.length) return;
+	const pipeline = createBatch(redis);
+	queueTags(pipeline, key, tags, ttl, prefix);
+	const replies = await pipeline.exec();
+	const failed = replies.find(([err]) => err);
+	if (failed) throw failed[0];
+}
+
+/**
+ * delete every data key recorded for the given tags
+ * @param {object} redis
+ * @param {Array|string} tags
+ * @param {object} options - { prefix, batchSize }
+ * @returns {Promise<number>} - number of deleted data keys
+ */
+async function invalidateTags(redis, tags, options) {
+	if (!redis) throw new Error('invalidateTags requires a Redis-like instance');
+	options = Object.assign({
+		prefix: defaultPrefix,
+		batchSize: 500
+	}, options || {});
+	if (!Array.isArray(tags)) tags = [tags];
+
+	let deleted = 0;
+	for (const tag of tags) {
+		const tagKey = getTagKey(tag, options.prefix);
+		const keys = await redis.zrange(tagKey, 0, -1);
+		debug(`invalidate ${keys.length} keys for tag ${tag}`);
+
+		for (let i = 0; i < keys.length; i += options.batchSize) {
+			const batch = keys.slice(i, i + options.batchSize);
+			// one DEL per key, and no pipeline with a Cluster, as keys are in different slots
+			const pipeline = createBatch(redis);
+			batch.forEach(key => pipeline.del(key));
+			// members added while invalidating stay in the set
+			pipeline.zrem(tagKey, ...batch);
+			const replies = await pipeline.exec();
+			replies.slice(0, batch.length).forEach(([err, result]) => {
+				if (err) throw err;
+				deleted += result;
+			});
+		}
+	}
+	return deleted;
+}
+
+
+module.exports = {
+	addTags,
+	queueTags,
+	invalidateTags,
+	getTagKey
+};
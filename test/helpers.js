@@ -0,0 +1,67 @@
+const { beforeEach, afterEach } = require('node:test');
+const NWLoader = require('../index');
+const Redis = require('ioredis');
+
+/**
+ * Redis client of a test suite, connected before each test and closed after it
+ * Call it first in describe(), so fixture.redis is set when the beforeEach hooks of the suite run.
+ * @param {string} pattern - keys matching it are deleted after each test, e.g. 'nwlock:test-fair*', optional
+ * @param {object} options - of the ioredis client, e.g. { db: 1 }
+ * @returns {object} - { redis }
+ */
+function redisFixture(pattern, options) {
+  const fixture = { redis: null };
+
+  beforeEach(() => {
+    const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
+    fixture.redis = new Redis(redisUrl, options);
+  });
+
+  afterEach(async () => {
+    if (fixture.redis) {
+      const keys = pattern ? await fixture.redis.keys(pattern) : [];
+      if (keys.length > 0) {
+        await fixture.redis.del(...keys);
+      }
+      await fixture.redis.quit();
+    }
+  });
+
+  return fixture;
+}
+
+/**
+ * Redis client and loader factory of a test suite, see redisFixture()
+ * The keys under keyPrefix are deleted after each test.
+ * @param {string} keyPrefix - of every loader and of the keys to delete
+ * @param {object} defaults - options of every loader, e.g. { ttl: 2 }
+ * @returns {object} - { redis, createLoader(name, loader, options) }
+ */
+function loaderFixture(keyPrefix, defaults) {
+  const fixture = redisFixture(`${keyPrefix}:*`);
+  fixture.createLoader = (name, loader, options) => {
+    return new NWLoader(name, loader, Object.assign({ redis: fixture.redis, keyPrefix }, defaults, options));
+  };
+  return fixture;
+}
+
+/**
+ * A single instance passed off as an ioredis Cluster: nodes() tells the loader it is one,
+ * and pipeline() throws like a Cluster given keys of different nodes
+ */
+function clusterLike(redis) {
+  return new Proxy(redis, {
+    get(target, prop) {
+      if (prop === 'nodes') return () => [target];
+      if (prop === 'pipeline') return () => { throw new Error('pipeline across slots'); };
+      return typeof target[prop] === 'function' ? target[prop].bind(target) : target[prop];
+    }
+  });
+}
+
+
+module.exports = {
+  redisFixture,
+  loaderFixture,
+  clusterLike
+};
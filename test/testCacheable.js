@@ -1,10 +1,11 @@
-const { describe, it, beforeEach, afterEach } = require('node:test');
-const Redis = require('ioredis');
+const { describe, it, beforeEach } = require('node:test');
+const { redisFixture } = require('./helpers');
 const assert = require('assert');
 const delay = require('delay');
 const { cacheable } = require('../index');
 
 describe('cacheable decorator', function() {
+  const fixture = redisFixture('test-cacheable:*');
   let redisClient;
   
   // Mock data for testing
@@ -19,21 +20,7 @@ describe('cacheable decorator', function() {
   };
 
   beforeEach(() => {
-    // Use a unique Redis URL if provided, otherwise default to localhost
-    const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
-    redisClient = new Redis(redisUrl);
-  });
-
-  afterEach(async () => {
-    // Clean up Redis connection after each test
-    if (redisClient) {
-      // Clear test keys
-      const keys = await redisClient.keys('test-cacheable:*');
-      if (keys.length > 0) {
-        await redisClient.del(...keys);
-      }
-      await redisClient.quit();
-    }
+    redisClient = fixture.redis;
   });
 
   it('should create a cacheable function with valid parameters', () => {
@@ -155,4 +142,21 @@ describe('cacheable decorator', function() {
     assert.strictEqual(cached2, 'user1-fr');
     assert.strictEqual(cached3, 'user2-en');
   });
+
+  it('should expose warm on cacheable functions', async () => {
+    let calls = 0;
+    const cachedFunction = cacheable('test-warm', {
+      redis: redisClient,
+      ttl: 2,
+      keyPrefix: 'test-cacheable'
+    })(async (userId, lang) => {
+      calls++;
+      return `${userId}-${lang}`;
+    });
+
+    const result = await cachedFunction.warm([['user1', 'en'], ['user2', 'en']], { concurrency: 2 });
+    assert.strictEqual(result.loaded, 2);
+    assert.strictEqual(await cachedFunction('user1', 'en'), 'user1-en');
+    assert.strictEqual(calls, 2);
+  });
 });
\ No newline at end of file
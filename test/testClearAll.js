@@ -0,0 +1,42 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture } = require('./helpers');
+const assert = require('assert');
+
+describe('NWLoader keys and clearAll', function() {
+  const fixture = loaderFixture('test-nwloader-scan', { ttl: 2, memory: true });
+  let redisClient;
+  let loader;
+  let sibling;
+
+  beforeEach(() => {
+    redisClient = fixture.redis;
+    loader = fixture.createLoader('users[v1]', async (id) => ({ id }));
+    sibling = fixture.createLoader('users-v1', async (id) => ({ id }));
+  });
+
+  it('should iterate over all keys of the loader only', async () => {
+    for (let i = 0; i < 25; i++) await loader.prime(i, { id: i });
+    await sibling.prime(1, { id: 1 });
+
+    const keys = new Set();
+    for await (const key of loader.keys({ count: 10 })) keys.add(key);
+
+    assert.strictEqual(keys.size, 25);
+    assert(keys.has(loader.getKey(0)));
+    assert(!keys.has(sibling.getKey(1)));
+  });
+
+  it('should delete all keys of the loader', async () => {
+    for (let i = 0; i < 25; i++) await loader.prime(i, { id: i });
+    await sibling.prime(1, { id: 1 });
+
+    const deleted = await loader.clearAll({ count: 10 });
+    assert.strictEqual(deleted, 25);
+    assert.strictEqual(loader.stats().memory.entries, 0);
+
+    const left = [];
+    for await (const key of loader.keys()) left.push(key);
+    assert.deepStrictEqual(left, []);
+    assert.strictEqual(await redisClient.exists(sibling.getKey(1)), 1);
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture } = require('./helpers');
+const compressors = require('../compression');
+const assert = require('assert');
+
+describe('compression', function() {
+  it('should compress and decompress with every algorithm', async () => {
+    const data = JSON.stringify({ items: new Array(100).fill('repeated text') });
+    for (const algorithm of ['gzip', 'deflate', 'brotli']) {
+      const options = compressors.resolve(algorithm);
+      const compressed = await compressors.compress(options, data);
+      assert(compressed.length < data.length);
+      assert.strictEqual((await compressors.decompress(algorithm, compressed)).toString(), data);
+    }
+  });
+
+  it('should resolve options', () => {
+    assert.strictEqual(compressors.resolve(null), null);
+    assert.deepStrictEqual(compressors.resolve({ threshold: 10, level: 1 }), { algorithm: 'gzip', threshold: 10, level: 1 });
+    assert.throws(() => compressors.resolve('lzma'), /unknown compression/);
+  });
+});
+
+describe('NWLoader compression option', function() {
+  const fixture = loaderFixture('test-nwloader-compression', { ttl: 2 });
+  let redisClient;
+  const big = { items: Array.from({ length: 500 }, (_, i) => ({ id: i, name: `item ${i}` })) };
+
+  beforeEach(() => {
+    redisClient = fixture.redis;
+  });
+
+  const createLoader = (options) => {
+    return fixture.createLoader('test-compression', async (id) => id === 'big' ? big : { id }, options);
+  };
+
+  it('should compress values above the threshold only', async () => {
+    const loader = createLoader({ compression: 'brotli' });
+    await loader.load('big');
+    await loader.load('small');
+
+    const envelope = JSON.parse(await redisClient.get(loader.getKey('big')));
+    assert.strictEqual(envelope.compression, 'brotli');
+    assert.strictEqual(envelope.value, undefined);
+    const small = JSON.parse(await redisClient.get(loader.getKey('small')));
+    assert.strictEqual(small.compression, undefined);
+    assert.deepStrictEqual(small.value, { id: 'small' });
+
+    assert.deepStrictEqual(await loader.load('big'), big);
+    const stats = loader.stats().compression;
+    assert.strictEqual(stats.compressed, 1);
+    assert.strictEqual(stats.skipped, 1);
+    assert(stats.ratio > 0 && stats.ratio < 0.5, `ratio ${stats.ratio}`);
+    assert.strictEqual(stats.latency.compress.count, 1);
+    assert.strictEqual(stats.latency.decompress.count, 1);
+  });
+
+  it('should keep Buffer output of other serializers', async () => {
+    const loader = createLoader({ serializer: 'v8', compression: { algorithm: 'deflate', threshold: 0 } });
+    await loader.prime('buffer', { data: Buffer.alloc(1000, 'a') });
+
+    const envelope = JSON.parse(await redisClient.get(loader.getKey('buffer')));
+    assert.strictEqual(envelope.compression, 'deflate');
+    assert.strictEqual(envelope.encoding, 'base64');
+    assert.deepStrictEqual(await loader.load('buffer'), { data: Buffer.alloc(1000, 'a') });
+  });
+
+  it('should read entries whatever the current compression', async () => {
+    await createLoader({ compression: 'gzip' }).load('big');
+    await createLoader().load('small');
+
+    const plain = createLoader();
+    assert.deepStrictEqual(await plain.load('big'), big);
+    assert.strictEqual(plain.stats().compression.latency.decompress.count, 1);
+    assert.strictEqual(plain.stats().compression.compressed, 0);
+
+    const compressed = createLoader({ compression: 'gzip' });
+    assert.deepStrictEqual(await compressed.load('small'), { id: 'small' });
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture } = require('./helpers');
+const assert = require('assert');
+const delay = require('delay');
+
+describe('NWLoader value-dependent ttl', function() {
+  const fixture = loaderFixture('test-nwloader-conditional');
+  let redisClient;
+  let callCount = 0;
+
+  const createLoader = (options) => fixture.createLoader('test-conditional', async (id) => {
+    callCount++;
+    await delay(10);
+    return id === 'missing' ? null : { id, items: id === 'empty' ? [] : [1, 2] };
+  }, options);
+
+  beforeEach(() => {
+    callCount = 0;
+    redisClient = fixture.redis;
+  });
+
+  it('should cache values for the ttl returned by options.ttl', async () => {
+    const loader = createLoader({
+      ttl: (value, args) => {
+        assert(Array.isArray(args));
+        if (!value) return 0;
+        return value.items.length ? 10 : 2.5;
+      }
+    });
+
+    await loader.load('full');
+    await loader.load('empty');
+    const full = await redisClient.pttl(loader.getKey('full'));
+    const empty = await redisClient.pttl(loader.getKey('empty'));
+    assert(full > 19000 && full <= 20000, `full list should live 2 * 10s, got ${full}`);
+    assert(empty > 4000 && empty <= 5000, `empty list should live 2 * 2.5s, got ${empty}`);
+  });
+
+  it('should not cache values with a ttl of 0', async () => {
+    const loader = createLoader({ ttl: value => value ? 10 : 0 });
+
+    assert.strictEqual(await loader.load('missing'), null);
+    assert.strictEqual(await loader.load('missing'), null);
+    assert.strictEqual(callCount, 2);
+    assert.strictEqual(await redisClient.exists(loader.getKey('missing')), 0);
+  });
+
+  it('should not cache values refused by shouldCache and drop the previous one', async () => {
+    let partial = false;
+    const loader = createLoader({
+      ttl: 10,
+      shouldCache: () => !partial
+    });
+
+    await loader.load('a');
+    assert.strictEqual(await redisClient.exists(loader.getKey('a')), 1);
+
+    partial = true;
+    await loader.loadWith({ forceRefresh: true }, 'a');
+    assert.strictEqual(await redisClient.exists(loader.getKey('a')), 0);
+
+    // batches too
+    await loader.loadMany([['b'], ['c']]);
+    assert.strictEqual(await redisClient.exists(loader.getKey('b'), loader.getKey('c')), 0);
+  });
+
+  it('should refresh entries with the ttl stored with them', async () => {
+    const loader = createLoader({ ttl: 10 });
+    await loader.loadWith({ ttl: 3 }, 'a');
+
+    // 6s left: stale for options.ttl, fresh for the ttl of the entry
+    assert.strictEqual(await loader.needsRefresh(loader.getKey('a')), false);
+    await loader.load('a');
+    assert.strictEqual(callCount, 1);
+  });
+});
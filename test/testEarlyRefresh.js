@@ -0,0 +1,75 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture } = require('./helpers');
+const assert = require('assert');
+const delay = require('delay');
+
+describe('NWLoader jitter and early refresh', function() {
+  const fixture = loaderFixture('test-nwloader-early', { ttl: 10 });
+  let redisClient;
+  let callCount = 0;
+
+  const createLoader = (options) => fixture.createLoader('test-early', async (id) => {
+    callCount++;
+    await delay(50);
+    return { id, version: callCount };
+  }, options);
+
+  beforeEach(() => {
+    callCount = 0;
+    redisClient = fixture.redis;
+  });
+
+  it('should spread the expiration of entries primed together', async () => {
+    const loader = createLoader({ jitter: 0.5 });
+    const ids = Array.from({ length: 20 }, (_, i) => i);
+    await loader.primeMany(ids.map(id => [id, { id }]));
+
+    const pttls = await Promise.all(ids.map(id => redisClient.pttl(loader.getKey(id))));
+    pttls.forEach(pttl => assert(pttl > 9000 && pttl <= 20000, `pttl should be within the jitter, got ${pttl}`));
+    assert(new Set(pttls.map(pttl => Math.round(pttl / 100))).size > 1, 'entries should expire at different times');
+
+    // freshness follows the jittered ttl stored with the entry
+    const envelope = JSON.parse(await redisClient.get(loader.getKey(0)));
+    assert(envelope.ttl > 5 && envelope.ttl <= 10);
+  });
+
+  it('should validate jitter', () => {
+    assert.throws(() => createLoader({ jitter: 1 }), /jitter/);
+    assert.throws(() => createLoader({ jitter: -0.1 }), /jitter/);
+    assert.throws(() => createLoader({ jitter: NaN }), /jitter/);
+    assert.throws(() => createLoader({ jitter: '0.1' }), /jitter/);
+    createLoader({ jitter: 0.99 });
+  });
+
+  it('should store the loader duration with the entry', async () => {
+    const loader = createLoader();
+    await loader.load('a');
+    const envelope = JSON.parse(await redisClient.get(loader.getKey('a')));
+    assert(envelope.delta >= 40, `delta should be the loader duration, got ${envelope.delta}`);
+  });
+
+  it('should refresh fresh entries early with a slow loader and a high beta', async () => {
+    // so high that the refresh is all but certain
+    const loader = createLoader({ beta: 1e9 });
+    const reasons = [];
+    loader.on('refresh:start', ({ outcome }) => reasons.push(outcome));
+
+    await loader.load('a');
+    // still served from the cache, refreshed in background
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a', version: 1 });
+    await delay(100);
+
+    assert.strictEqual(callCount, 2);
+    assert.deepStrictEqual(reasons, ['miss', 'early']);
+    assert.strictEqual(loader.stats().early, 1);
+    assert.deepStrictEqual(await loader.loadWith({ cacheOnly: true }, 'a'), { id: 'a', version: 2 });
+  });
+
+  it('should not refresh fresh entries without beta', async () => {
+    const loader = createLoader();
+    await loader.load('a');
+    await loader.load('a');
+    await delay(100);
+    assert.strictEqual(callCount, 1);
+  });
+});
@@ -1,11 +1,10 @@
-const { describe, it, beforeEach, afterEach } = require('node:test');
-const NWLoader = require('../index');
-const Redis = require('ioredis');
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture } = require('./helpers');
 const assert = require('assert');
 const delay = require('delay');
 
 describe('NWLoader Error Handling', function() {
-  let redisClient;
+  const fixture = loaderFixture('test-nwloader-error', { ttl: 2 });
   let testLoader;
   
   // Counter to track how many times the loader function is called
@@ -25,28 +24,8 @@ describe('NWLoader Error Handling', function() {
     // Reset counter
     loaderCallCount = 0;
     
-    // Use a unique Redis URL if provided, otherwise default to localhost
-    const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
-    redisClient = new Redis(redisUrl);
-    
     // Create a loader instance with a short TTL for testing
-    testLoader = new NWLoader('test-error-loader', errorLoaderFunction, {
-      redis: redisClient,
-      ttl: 2, 
-      keyPrefix: 'test-nwloader-error'
-    });
-  });
-
-  afterEach(async () => {
-    // Clean up Redis connection after each test
-    if (redisClient) {
-      // Clear test keys
-      const keys = await redisClient.keys('test-nwloader-error:*');
-      if (keys.length > 0) {
-        await redisClient.del(...keys);
-      }
-      await redisClient.quit();
-    }
+    testLoader = fixture.createLoader('test-error-loader', errorLoaderFunction);
   });
 
   it('should properly handle loader function errors and not cause infinite loops', async () => {
@@ -93,8 +72,8 @@ describe('NWLoader Error Handling', function() {
       assert.match(result.message, /Simulated loader error/);
     });
     
-    // Loader function should only be called once due to race lock
-    assert.strictEqual(loaderCallCount, 3);
+    // Loader function should only be called once, concurrent loads of the same key share one promise
+    assert.strictEqual(loaderCallCount, 1);
   });
 
   it('should handle mixed success and error cases correctly', async () => {
@@ -196,7 +175,72 @@ describe('NWLoader Error Handling', function() {
     // 2. error (first request gets lock, others wait but get cached error)
     // 3. success2 (gets its own lock)
     // But since all requests are started concurrently, the actual count depends on timing.
-    // Let's verify the actual count from the test failure, which was 5.
-    assert.strictEqual(loaderCallCount, 5);
+    // Duplicate requests join the load of the same key in flight, so it is 3.
+    assert.strictEqual(loaderCallCount, 3);
+  });
+});
+describe('NWLoader Error Caching', function() {
+  const fixture = loaderFixture('test-nwloader-error', { ttl: 2, errorTtl: 0.3, errorFields: ['status'] });
+  let loaderCallCount = 0;
+
+  const createLoader = (options) => {
+    return fixture.createLoader('test-error-cache', async (id) => {
+      loaderCallCount++;
+      await delay(10);
+      const err = new Error(`Simulated ${id} error`);
+      err.code = id === 'retry' ? 'ETIMEDOUT' : 'ENOTFOUND';
+      err.status = 404;
+      err.secret = 'do not store';
+      throw err;
+    }, options);
+  };
+
+  beforeEach(() => {
+    loaderCallCount = 0;
+  });
+
+  it('should reject with the cached error without calling the loader until errorTtl', async () => {
+    const loader = createLoader();
+
+    await assert.rejects(loader.load('missing'), /Simulated missing error/);
+    assert.strictEqual(loaderCallCount, 1);
+
+    await assert.rejects(loader.load('missing'), (err) => {
+      assert.match(err.message, /Simulated missing error/);
+      assert.strictEqual(err.code, 'ENOTFOUND');
+      assert.strictEqual(err.status, 404);
+      assert.strictEqual(err.secret, undefined);
+      assert.strictEqual(err.nw_cached, 1);
+      return true;
+    });
+    assert.strictEqual(loaderCallCount, 1);
+
+    await delay(400);
+    await assert.rejects(loader.load('missing'), /Simulated missing error/);
+    assert.strictEqual(loaderCallCount, 2);
+  });
+
+  it('should share the cached error with concurrent requests', async () => {
+    const loader = createLoader();
+    const results = await Promise.all([1, 2, 3].map(() => loader.load('missing').catch(err => err)));
+    results.forEach(err => assert.match(err.message, /Simulated missing error/));
+    assert.strictEqual(loaderCallCount, 1);
+  });
+
+  it('should only cache errors allowed by shouldCacheError', async () => {
+    const loader = createLoader({
+      shouldCacheError: err => err.code !== 'ETIMEDOUT'
+    });
+
+    await assert.rejects(loader.load('retry'), /Simulated retry error/);
+    await assert.rejects(loader.load('retry'), /Simulated retry error/);
+    assert.strictEqual(loaderCallCount, 2);
+  });
+
+  it('should cache errors of loadMany', async () => {
+    const loader = createLoader();
+    await assert.rejects(loader.loadMany(['missing']), /Simulated missing error/);
+    await assert.rejects(loader.load('missing'), (err) => err.nw_cached === 1);
+    assert.strictEqual(loaderCallCount, 1);
   });
-});
\ No newline at end of file
+});
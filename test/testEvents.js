@@ -0,0 +1,151 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture, redisFixture } = require('./helpers');
+const Lock = require('../lock');
+const assert = require('assert');
+const delay = require('delay');
+
+describe('NWLoader events and stats', function() {
+  const fixture = loaderFixture('test-nwloader-events', { ttl: 2 });
+  let redisClient;
+  let events;
+  let fail = false;
+
+  const record = (emitter, names) => {
+    names.forEach(name => emitter.on(name, payload => events.push({ name, ...payload })));
+  };
+
+  const createLoader = (options) => {
+    const loader = fixture.createLoader('test-events', async (id) => {
+      await delay(20);
+      if (fail || id === 'error') throw new Error('Simulated loader error');
+      return { id };
+    }, options);
+    record(loader, ['hit', 'miss', 'stale', 'refresh:start', 'refresh:end', 'loader:error', 'background:error', 'lock:acquired', 'lock:ignored']);
+    return loader;
+  };
+
+  beforeEach(() => {
+    events = [];
+    fail = false;
+    redisClient = fixture.redis;
+  });
+
+  it('should emit miss, refresh and hit events', async () => {
+    const loader = createLoader();
+    const key = loader.getKey('a');
+
+    await loader.load('a');
+    await loader.load('a');
+
+    assert.deepStrictEqual(events.map(e => e.name), ['miss', 'lock:acquired', 'refresh:start', 'refresh:end', 'hit']);
+    assert.strictEqual(events[0].key, key);
+    assert.strictEqual(events[1].key, 'a');
+    assert.strictEqual(events[2].outcome, 'miss');
+    assert.strictEqual(typeof events[2].duration, 'number');
+    assert.strictEqual(events[3].outcome, 'success');
+    assert(events[3].duration >= 15);
+    assert.strictEqual(events[4].tier, 'redis');
+    assert.strictEqual(events[4].outcome, 'fresh');
+
+    const stats = loader.stats();
+    assert.strictEqual(stats.redis.hits, 1);
+    assert.strictEqual(stats.redis.misses, 1);
+    assert.strictEqual(stats.refreshes, 1);
+    assert.strictEqual(stats.lock.acquired, 1);
+    assert.strictEqual(stats.latency.loader.count, 1);
+    assert(stats.latency.loader.p99 >= 15);
+  });
+
+  it('should emit stale and background errors instead of logging them', async () => {
+    const loader = createLoader();
+    await loader.load('a');
+    await delay(2100);
+
+    fail = true;
+    events = [];
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a' });
+    await delay(50);
+
+    const names = events.map(e => e.name);
+    assert(names.includes('stale'));
+    assert(names.includes('loader:error'));
+    const background = events.find(e => e.name === 'background:error');
+    assert.match(background.error.message, /Simulated loader error/);
+    assert.strictEqual(background.outcome, 'error');
+    const refreshEnd = events.find(e => e.name === 'refresh:end');
+    assert(background.duration >= refreshEnd.duration, `background:error duration ${background.duration}ms`);
+
+    const stats = loader.stats();
+    assert.strictEqual(stats.stale, 1);
+    assert.strictEqual(stats.loaderErrors, 1);
+    assert.strictEqual(stats.backgroundErrors, 1);
+  });
+
+  it('should count lock waits of concurrent cold loads', async () => {
+    // as if the loads came from two processes
+    const loader = createLoader({ singleflight: false });
+    await Promise.all([loader.load('b'), loader.load('b')]);
+    // the second cold request waits on the race lock, then reads the cache
+    const stats = loader.stats();
+    assert.strictEqual(stats.refreshes, 1);
+    assert.strictEqual(stats.lock.waits, 1);
+    assert.strictEqual(stats.redis.hits, 1);
+  });
+
+  it('should count loads joining a load in flight', async () => {
+    const loader = createLoader();
+    const coalesced = [];
+    loader.on('coalesced', payload => coalesced.push(payload.key));
+
+    const results = await Promise.all([loader.load('c'), loader.load('c'), loader.load('c')]);
+    assert.deepStrictEqual(results, [{ id: 'c' }, { id: 'c' }, { id: 'c' }]);
+    assert.deepStrictEqual(coalesced, [loader.getKey('c'), loader.getKey('c')]);
+    const stats = loader.stats();
+    assert.strictEqual(stats.coalesced, 2);
+    assert.strictEqual(stats.refreshes, 1);
+    assert.strictEqual(stats.redis.misses, 1);
+
+    // later loads read Redis again
+    await loader.load('c');
+    assert.strictEqual(loader.stats().redis.hits, 1);
+  });
+});
+
+describe('Lock events', function() {
+  const fixture = redisFixture();
+  let redisClient;
+
+  beforeEach(() => {
+    redisClient = fixture.redis;
+  });
+
+  it('should emit lock:wait, lock:acquired and lock:ignored', async () => {
+    const lock = new Lock(redisClient, { checkLockDelay: 20 });
+    const events = [];
+    ['lock:acquired', 'lock:wait', 'lock:ignored'].forEach(name => {
+      lock.on(name, payload => events.push({ name, ...payload }));
+    });
+
+    await Promise.all([
+      lock.all('test-events-all', () => delay(50)),
+      lock.all('test-events-all', () => delay(10))
+    ]);
+    await Promise.all([
+      lock.race('test-events-race', () => delay(50)),
+      lock.race('test-events-race', () => delay(10))
+    ]);
+
+    const all = events.filter(e => e.type === 'all');
+    assert.deepStrictEqual(all.map(e => e.name), ['lock:acquired', 'lock:wait', 'lock:acquired']);
+    assert(all[2].delayed);
+    assert(all[2].duration >= 30);
+    assert.deepStrictEqual(all.map(e => e.outcome), ['acquired', 'wait', 'acquired']);
+    assert.strictEqual(typeof all[1].duration, 'number');
+
+    const race = events.filter(e => e.type === 'race');
+    assert.deepStrictEqual(race.map(e => e.name), ['lock:acquired', 'lock:ignored']);
+    assert.strictEqual(race[1].key, 'test-events-race');
+    assert.strictEqual(race[1].outcome, 'ignored');
+    assert.strictEqual(typeof race[1].duration, 'number');
+  });
+});
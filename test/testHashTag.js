@@ -0,0 +1,91 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture } = require('./helpers');
+const assert = require('assert');
+const delay = require('delay');
+
+// the part of a key Redis Cluster hashes
+const hashTag = key => {
+  const start = key.indexOf('{');
+  return key.slice(start + 1, key.indexOf('}', start + 1));
+};
+
+describe('NWLoader hashTag', function() {
+  const fixture = loaderFixture('test-nwloader-hash-tag', { ttl: 5 });
+  let redisClient;
+  let calls = 0;
+
+  const createLoader = (options) => fixture.createLoader('test-hash-tag', async (id) => {
+    calls++;
+    await delay(10);
+    return { id, calls };
+  }, options);
+
+  beforeEach(() => {
+    calls = 0;
+    redisClient = fixture.redis;
+  });
+
+  it('should share one hash tag between the entry and its race lock', async () => {
+    const loader = createLoader({ hashTag: true });
+    const locks = [];
+    loader.on('lock:acquired', ({ key }) => locks.push(loader.lock.getKey(key) + ':race'));
+
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a', calls: 1 });
+    const key = loader.getKey('a');
+    assert.strictEqual(key, 'test-nwloader-hash-tag:{test-hash-tag:a}');
+    assert(await redisClient.exists(key));
+    assert.strictEqual(locks.length, 1);
+    assert.strictEqual(hashTag(locks[0]), hashTag(key));
+
+    await loader.loadMany([['b'], ['c']]);
+    assert.strictEqual(locks.length, 3);
+    assert.strictEqual(hashTag(locks[1]), hashTag(loader.getKey('b')));
+    assert.strictEqual(hashTag(locks[2]), hashTag(loader.getKey('c')));
+  });
+
+  it('should scan and clear entries of the hash tag layout', async () => {
+    const loader = createLoader({ hashTag: true });
+    await loader.loadMany([['a'], ['b']]);
+
+    const keys = [];
+    for await (const key of loader.keys()) keys.push(key);
+    assert.deepStrictEqual([...new Set(keys)].sort(), [loader.getKey('a'), loader.getKey('b')]);
+
+    assert.strictEqual(await loader.clear('a'), 1);
+    assert.strictEqual(await redisClient.exists(loader.getKey('a')), 0);
+  });
+
+  it('should serve entries of the old layout and refresh them into the new one', { timeout: 10000 }, async () => {
+    await createLoader().load('a');
+    await createLoader().load('b');
+    const loader = createLoader({ hashTag: true, legacyKeys: true });
+    const outcomes = [];
+    loader.on('hit', ({ outcome }) => outcomes.push(outcome));
+
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a', calls: 1 });
+    assert.deepStrictEqual(await loader.loadMany([['b']]), [{ id: 'b', calls: 2 }]);
+    assert.deepStrictEqual(outcomes, ['stale', 'stale']);
+
+    await delay(100);
+    assert.strictEqual(calls, 4);
+    // served from the new layout
+    assert((await loader.load('a')).calls > 2);
+    assert(await redisClient.exists(loader.getKey('b')));
+  });
+
+  it('should ignore the old layout without legacyKeys', async () => {
+    await createLoader().load('a');
+    const loader = createLoader({ hashTag: true });
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a', calls: 2 });
+  });
+
+  it('should clear both layouts with legacyKeys', async () => {
+    const legacy = createLoader();
+    await legacy.load('a');
+    const loader = createLoader({ hashTag: true, legacyKeys: true });
+
+    assert.strictEqual(await loader.clear('a'), 1);
+    assert.strictEqual(await redisClient.exists(legacy.getKey('a')), 0);
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a', calls: 2 });
+  });
+});
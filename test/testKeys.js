@@ -0,0 +1,111 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture } = require('./helpers');
+const { canonical } = require('../canonical');
+const assert = require('assert');
+
+describe('NWLoader cache keys', function() {
+  const fixture = loaderFixture('test-nwloader-keys', { ttl: 5 });
+  let redisClient;
+  let calls = 0;
+
+  const createLoader = (options) => fixture.createLoader('test-keys', async (...args) => {
+    calls++;
+    return args.length;
+  }, options);
+
+  beforeEach(() => {
+    calls = 0;
+    redisClient = fixture.redis;
+  });
+
+  it('should give the same key whatever the order of object fields', () => {
+    const loader = createLoader();
+    assert.strictEqual(loader.getBaseKey([{ a: 1, b: { c: 2, d: 3 } }]), loader.getBaseKey([{ b: { d: 3, c: 2 }, a: 1 }]));
+    assert.strictEqual(loader.getBaseKey([new Map([['a', 1], ['b', 2]])]), loader.getBaseKey([new Map([['b', 2], ['a', 1]])]));
+    assert.strictEqual(loader.getBaseKey([new Set([1, 2])]), loader.getBaseKey([new Set([2, 1])]));
+  });
+
+  it('should tell apart values JSON can not', () => {
+    const distinct = [
+      { a: undefined },
+      {},
+      { a: null },
+      new Date(0),
+      '1970-01-01T00:00:00.000Z',
+      new Map([['a', 1]]),
+      { a: 1 },
+      [1n],
+      [1],
+      ['1'],
+      [NaN],
+      [null],
+      Buffer.from('a'),
+      new Uint8Array([97])
+    ];
+    const keys = distinct.map(value => canonical(value));
+    assert.strictEqual(new Set(keys).size, distinct.length, keys.join(' '));
+    assert.strictEqual(canonical({ b: 1n, a: new Date(0) }), '{"a":Date(1970-01-01T00:00:00.000Z),"b":1n}');
+  });
+
+  it('should use readable keys for primitive arguments', () => {
+    const loader = createLoader();
+    assert.strictEqual(loader.getBaseKey(['user1']), 'user1');
+    assert.strictEqual(loader.getBaseKey([123]), 123);
+    assert.strictEqual(loader.getBaseKey(['user1', 2, true]), '~["user1",2,true]');
+    assert.strictEqual(loader.getBaseKey([null]), '~null');
+
+    // too long, hashed
+    const long = 'x'.repeat(65);
+    assert.match(loader.getBaseKey([long]), /^[0-9a-f]{32}$/);
+    assert.strictEqual(loader.getKey(long), `test-nwloader-keys:test-keys:${loader.getBaseKey([long])}`);
+    assert.match(loader.getBaseKey([{ id: 1 }]), /^[0-9a-f]{32}$/);
+  });
+
+  it('should not give strings the keys of other values', async () => {
+    const loader = createLoader();
+    const pairs = [
+      [[null], ['null']],
+      [[undefined], ['undefined']],
+      [[true], ['true']],
+      [[1n], ['1n']],
+      [[NaN], ['NaN']],
+      [['a', 1], ['["a",1]']],
+      [[null], ['~null']],
+      [['~a'], ['~"~a"']]
+    ];
+    for (const [args, string] of pairs) {
+      assert.notStrictEqual(loader.getBaseKey(args), loader.getBaseKey(string), `${loader.getBaseKey(args)} ${string[0]}`);
+    }
+
+    assert.strictEqual(await loader.load(null), 1);
+    assert.strictEqual(await loader.load('null'), 1);
+    assert.strictEqual(await loader.load('a', 1), 2);
+    assert.strictEqual(await loader.load('["a",1]'), 1);
+    assert.strictEqual(calls, 4);
+  });
+
+  it('should hash keys with options.keyHash', () => {
+    assert.match(createLoader({ keyHash: 'sha256' }).getBaseKey([{ id: 1 }]), /^[0-9a-f]{64}$/);
+    assert.strictEqual(createLoader({ keyHash: s => `len${s.length}` }).getBaseKey([{ id: 1 }]), 'len8');
+    assert.throws(() => createLoader({ keyHash: 'sha256', maxKeyLength: 32 }), /maxKeyLength/);
+  });
+
+  it('should reject arguments which can not be part of a key', async () => {
+    const loader = createLoader();
+    const circular = {};
+    circular.self = circular;
+    await assert.rejects(loader.load(circular), /circular/);
+    await assert.rejects(loader.load(() => {}), /function/);
+  });
+
+  it('should use options.key as the cache key', async () => {
+    const loader = createLoader({ key: (id) => `user-${id}` });
+    assert.strictEqual(await loader.load(1, 'ignored'), 2);
+    assert.strictEqual(await loader.load(1, 'other'), 2);
+    assert.strictEqual(calls, 1);
+    assert(await redisClient.exists('test-nwloader-keys:test-keys:user-1'));
+
+    const objects = createLoader({ key: (query) => ({ id: query.id }) });
+    assert.strictEqual(objects.getBaseKey([{ id: 1, page: 2 }]), objects.getBaseKey([{ id: 1, page: 3 }]));
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture, clusterLike } = require('./helpers');
+const Lock = require('../lock');
+const assert = require('assert');
+const delay = require('delay');
+
+describe('NWLoader loadMany', function() {
+  const fixture = loaderFixture('test-nwloader-many', { ttl: 2 });
+  let redisClient;
+  let loaderCalls;
+  let batchCalls;
+
+  const createLoader = (name, options) => {
+    return fixture.createLoader(name, async (id) => {
+      loaderCalls.push(id);
+      await delay(10);
+      if (id === 'error') throw new Error('Simulated loader error');
+      return { id };
+    }, options);
+  };
+
+  beforeEach(() => {
+    loaderCalls = [];
+    batchCalls = [];
+    redisClient = fixture.redis;
+  });
+
+  it('should load missing keys with one batchLoader call and keep order', async () => {
+    const loader = createLoader('test-many-batch', {
+      batchLoader: async (argsList) => {
+        batchCalls.push(argsList);
+        return argsList.map(([id]) => ({ id, batch: true }));
+      }
+    });
+    await loader.prime('b', { id: 'b' });
+
+    const results = await loader.loadMany(['a', 'b', 'c', 'a']);
+    assert.deepStrictEqual(results, [
+      { id: 'a', batch: true },
+      { id: 'b' },
+      { id: 'c', batch: true },
+      { id: 'a', batch: true }
+    ]);
+    assert.deepStrictEqual(batchCalls, [[['a'], ['c']]]);
+    assert.strictEqual(loaderCalls.length, 0);
+
+    // everything is cached now
+    await loader.loadMany(['a', 'b', 'c']);
+    assert.strictEqual(batchCalls.length, 1);
+  });
+
+  it('should fall back to the loader function and support multiple arguments', async () => {
+    const loader = fixture.createLoader('test-many-args', async (id, lang) => {
+      loaderCalls.push(id);
+      return `${lang}:${id}`;
+    });
+
+    const results = await loader.loadMany([[1, 'en'], [1, 'fr']]);
+    assert.deepStrictEqual(results, ['en:1', 'fr:1']);
+    assert.deepStrictEqual(await loader.load(1, 'fr'), 'fr:1');
+    assert.strictEqual(loaderCalls.length, 2);
+  });
+
+  it('should reject when a missing key fails to load', async () => {
+    const loader = createLoader('test-many-error');
+    await assert.rejects(loader.loadMany(['ok', 'error']), /Simulated loader error/);
+
+    // the successful key is cached anyway
+    assert.deepStrictEqual(await loader.load('ok'), { id: 'ok' });
+    assert.strictEqual(loaderCalls.filter(id => id === 'ok').length, 1);
+  });
+
+  it('should load the other keys despite a cached error', async () => {
+    const loader = createLoader('test-many-cached-error', { errorTtl: 5 });
+    await loader.primeError('bad', new Error('Cached error'));
+    await assert.rejects(loader.loadMany(['bad', 'ok']), /Cached error/);
+    assert.deepStrictEqual(loaderCalls, ['ok']);
+
+    assert.deepStrictEqual(await loader.load('ok'), { id: 'ok' });
+    assert.strictEqual(loaderCalls.length, 1);
+  });
+
+  it('should resolve failed keys as errors with returnErrors', async () => {
+    const loader = createLoader('test-many-return-errors', { errorTtl: 5 });
+    const results = await loader.loadMany(['ok', 'error'], { returnErrors: true });
+    assert.deepStrictEqual(results[0], { id: 'ok' });
+    assert(results[1] instanceof Error);
+    assert.match(results[1].message, /Simulated loader error/);
+
+    // the cached error is returned too, without calling the loader
+    const cached = await loader.loadMany(['error', 'ok'], { returnErrors: true });
+    assert.match(cached[0].message, /Simulated loader error/);
+    assert.deepStrictEqual(cached[1], { id: 'ok' });
+    assert.deepStrictEqual(loaderCalls, ['ok', 'error']);
+  });
+
+  it('should not load keys locked by another request', async () => {
+    const loader = createLoader('test-many-locked');
+    const lock = new Lock(redisClient);
+
+    // another process is loading key "a"
+    const other = lock.race('a', async () => {
+      await delay(100);
+      await loader.prime('a', { id: 'a', other: true });
+    });
+
+    await delay(10);
+    const results = await loader.loadMany(['a', 'b']);
+    await other;
+
+    assert.deepStrictEqual(results, [{ id: 'a', other: true }, { id: 'b' }]);
+    assert.deepStrictEqual(loaderCalls, ['b']);
+  });
+
+  it('should refresh stale keys in background', async () => {
+    const loader = createLoader('test-many-stale', {
+      batchLoader: async (argsList) => {
+        batchCalls.push(argsList);
+        return argsList.map(([id]) => ({ id, version: batchCalls.length }));
+      }
+    });
+
+    await loader.loadMany(['a', 'b']);
+    await delay(2100);
+
+    const results = await loader.loadMany(['a', 'b']);
+    assert.deepStrictEqual(results, [{ id: 'a', version: 1 }, { id: 'b', version: 1 }]);
+
+    await delay(50);
+    assert.strictEqual(batchCalls.length, 2);
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a', version: 2 });
+  });
+
+  it('should not pipeline keys of different slots with a Cluster', async () => {
+    const loader = createLoader('test-many-cluster', { redis: clusterLike(redisClient) });
+    await loader.primeMany([['a', { id: 'a', primed: true }]]);
+
+    assert.deepStrictEqual(await loader.loadMany(['a', 'b', 'c']), [{ id: 'a', primed: true }, { id: 'b' }, { id: 'c' }]);
+    assert.deepStrictEqual(await loader.loadMany(['b', 'c']), [{ id: 'b' }, { id: 'c' }]);
+    assert.deepStrictEqual(loaderCalls, ['b', 'c']);
+  });
+});
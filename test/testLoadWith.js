@@ -0,0 +1,110 @@
+const { describe, it, beforeEach } = require('node:test');
+const { cacheable } = require('../index');
+const { loaderFixture } = require('./helpers');
+const assert = require('assert');
+const delay = require('delay');
+
+describe('NWLoader loadWith', function() {
+  const fixture = loaderFixture('test-nwloader-with', { ttl: 2 });
+  let redisClient;
+  let testLoader;
+  let callCount = 0;
+
+  beforeEach(() => {
+    callCount = 0;
+    redisClient = fixture.redis;
+    testLoader = fixture.createLoader('test-load-with', async (id) => {
+      callCount++;
+      await delay(20);
+      return { id, version: callCount };
+    });
+  });
+
+  it('should call the loader for fresh data with forceRefresh', async () => {
+    await testLoader.load('a');
+    const result = await testLoader.loadWith({ forceRefresh: true }, 'a');
+
+    assert.deepStrictEqual(result, { id: 'a', version: 2 });
+    assert.deepStrictEqual(await testLoader.load('a'), { id: 'a', version: 2 });
+  });
+
+  it('should call the loader once for concurrent forced refreshes', async () => {
+    await testLoader.load('a');
+    const results = await Promise.all([
+      testLoader.loadWith({ forceRefresh: true }, 'a'),
+      testLoader.loadWith({ forceRefresh: true }, 'a')
+    ]);
+
+    assert.strictEqual(callCount, 2);
+    assert.deepStrictEqual(results, [{ id: 'a', version: 2 }, { id: 'a', version: 2 }]);
+  });
+
+  it('should call the loader despite a cached error with forceRefresh', async () => {
+    const loader = fixture.createLoader('test-load-with', async (id) => {
+      callCount++;
+      if (callCount === 1) throw new Error('Simulated error');
+      return { id };
+    }, { errorTtl: 5 });
+
+    await assert.rejects(loader.load('a'), /Simulated error/);
+    await assert.rejects(loader.load('a'), (err) => err.nw_cached === 1);
+    assert.deepStrictEqual(await loader.loadWith({ forceRefresh: true }, 'a'), { id: 'a' });
+    assert.strictEqual(callCount, 2);
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a' });
+  });
+
+  it('should never call the loader with cacheOnly', async () => {
+    assert.strictEqual(await testLoader.loadWith({ cacheOnly: true }, 'a'), undefined);
+    assert.strictEqual(callCount, 0);
+
+    await testLoader.load('a');
+    assert.deepStrictEqual(await testLoader.loadWith({ cacheOnly: true }, 'a'), { id: 'a', version: 1 });
+
+    // stale data is not refreshed
+    await delay(2100);
+    assert.deepStrictEqual(await testLoader.loadWith({ cacheOnly: true }, 'a'), { id: 'a', version: 1 });
+    await delay(50);
+    assert.strictEqual(callCount, 1);
+  });
+
+  it('should neither read nor prime the cache with noCache', async () => {
+    await testLoader.load('a');
+    assert.deepStrictEqual(await testLoader.loadWith({ noCache: true }, 'a'), { id: 'a', version: 2 });
+    assert.deepStrictEqual(await testLoader.load('a'), { id: 'a', version: 1 });
+
+    assert.deepStrictEqual(await testLoader.loadWith({ noCache: true }, 'b'), { id: 'b', version: 3 });
+    assert.strictEqual(await redisClient.exists(testLoader.getKey('b')), 0);
+  });
+
+  it('should keep data fresh for the ttl of the call', async () => {
+    await testLoader.loadWith({ ttl: 10 }, 'a');
+    const pttl = await redisClient.pttl(testLoader.getKey('a'));
+    assert(pttl > 19000 && pttl <= 20000, `pttl should be twice the ttl, got ${pttl}`);
+
+    // still fresh past options.ttl
+    await delay(2100);
+    assert.deepStrictEqual(await testLoader.load('a'), { id: 'a', version: 1 });
+    await delay(50);
+    assert.strictEqual(callCount, 1);
+  });
+
+  it('should treat data older than maxAge as missing', async () => {
+    await testLoader.load('a');
+    await delay(1100);
+
+    assert.deepStrictEqual(await testLoader.loadWith({ maxAge: 5 }, 'a'), { id: 'a', version: 1 });
+    assert.deepStrictEqual(await testLoader.loadWith({ maxAge: 1 }, 'a'), { id: 'a', version: 2 });
+  });
+
+  it('should expose loadWith on cacheable functions', async () => {
+    let calls = 0;
+    const getName = cacheable('test-load-with-cacheable', { redis: redisClient, ttl: 2, keyPrefix: 'test-nwloader-with' })(async (id) => {
+      calls++;
+      return `name:${id}:${calls}`;
+    });
+
+    assert.strictEqual(await getName(1), 'name:1:1');
+    assert.strictEqual(await getName.loadWith({ forceRefresh: true }, 1), 'name:1:2');
+    assert.strictEqual(await getName.loadWith({ cacheOnly: true }, 2), undefined);
+  });
+});
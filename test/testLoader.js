@@ -1,10 +1,11 @@
-const { describe, it, beforeEach, afterEach } = require('node:test');
+const { describe, it, beforeEach } = require('node:test');
 const NWLoader = require('../index');
-const Redis = require('ioredis');
+const { loaderFixture } = require('./helpers');
 const assert = require('assert');
 const delay = require('delay');
 
 describe('NWLoader', function() {
+  const fixture = loaderFixture('test-nwloader', { ttl: 2 });
   let redisClient;
   let testLoader;
   
@@ -20,28 +21,10 @@ describe('NWLoader', function() {
   };
 
   beforeEach(() => {
-    // Use a unique Redis URL if provided, otherwise default to localhost
-    const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
-    redisClient = new Redis(redisUrl);
+    redisClient = fixture.redis;
     
     // Create a loader instance with a short TTL for testing
-    testLoader = new NWLoader('test-loader', mockLoaderFunction, {
-      redis: redisClient,
-      ttl: 2, // 2 seconds for faster testing
-      keyPrefix: 'test-nwloader'
-    });
-  });
-
-  afterEach(async () => {
-    // Clean up Redis connection after each test
-    if (redisClient) {
-      // Clear test keys
-      const keys = await redisClient.keys('test-nwloader:*');
-      if (keys.length > 0) {
-        await redisClient.del(...keys);
-      }
-      await redisClient.quit();
-    }
+    testLoader = fixture.createLoader('test-loader', mockLoaderFunction);
   });
 
   it('should create a loader instance with valid parameters', () => {
@@ -75,8 +58,8 @@ describe('NWLoader', function() {
     
     assert.strictEqual(key1, 'test-nwloader:test-loader:user1');
     assert.strictEqual(key2, 'test-nwloader:test-loader:123');
-    // Object keys should be hashed - using the actual md5 function to get the correct hash
-    const expectedHash = require('../md5')(JSON.stringify({ id: 1 }));
+    // Object keys should be hashed - md5 of the canonical form by default
+    const expectedHash = require('crypto').createHash('md5').update('{"id":1}').digest('hex');
     assert.strictEqual(key3, `test-nwloader:test-loader:${expectedHash}`);
   });
 
@@ -1,19 +1,18 @@
-const { describe, it, beforeEach, afterEach } = require('node:test');
+const { describe, it, beforeEach } = require('node:test');
 const Lock = require('../lock');
-const Redis = require('ioredis');
+const { redisFixture } = require('./helpers');
 const delay = require('delay');
 const assert = require('assert');
 
 describe('Lock - all method', function() {
 	// Create a new Redis instance and Lock instance for each test run
 	// to ensure a clean state.
+	const fixture = redisFixture();
 	let redisClient;
 	let lock;
 
 	beforeEach(() => {
-		// Use a unique Redis URL if provided, otherwise default to localhost
-		const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
-		redisClient = new Redis(redisUrl);
+		redisClient = fixture.redis;
 		// Create a lock instance with a reasonable default timeout for testing
 		lock = new Lock(redisClient, {
 			defaultTimeout: 5000,
@@ -21,16 +20,6 @@ describe('Lock - all method', function() {
 		});
 	});
 
-	afterEach(async () => {
-		// Clean up Redis connection after each test
-		if (redisClient) {
-			// Optionally clear any test keys here if needed, though the lock
-			// mechanism should handle cleanup.
-			// For example: await redisClient.del('nwlock:test-lock-sequential');
-			await redisClient.quit();
-		}
-	});
-
 	it('should execute tasks sequentially when using the same lock key', { timeout: 10000 }, async () => {
 		const results = [];
 		const lockKey = 'test-lock-sequential';
@@ -188,4 +177,32 @@ describe('Lock - all method', function() {
 
 		console.log('Timeout test completed');
 	});
+
+	it('should pass increasing fencing tokens to the task', { timeout: 10000 }, async () => {
+		const lockKey = 'test-lock-fencing';
+		await redisClient.del(lock.getKey(lockKey) + ':fence');
+
+		const tokens = await Promise.all([1, 2, 3].map(() => {
+			return lock.all(lockKey, async (delayed, { fencingToken }) => {
+				await delay(20);
+				return fencingToken;
+			}, { fencing: true });
+		}));
+
+		assert.deepStrictEqual(tokens.slice().sort(), [1, 2, 3]);
+		// a later holder always gets a greater token
+		assert.strictEqual(await lock.all(lockKey, (delayed, { fencingToken }) => fencingToken, { fencing: true }), 4);
+		await redisClient.del(lock.getKey(lockKey) + ':fence');
+	});
+
+	it('should not keep a fencing counter without fencing', async () => {
+		const lockKey = 'test-lock-no-fencing';
+		const context = await lock.all(lockKey, (delayed, context) => context);
+		assert.strictEqual(context.fencingToken, undefined);
+		assert.strictEqual(await redisClient.exists(lock.getKey(lockKey) + ':fence'), 0);
+
+		const fair = await lock.all(lockKey, (delayed, context) => context, { fair: true });
+		assert.strictEqual(fair.fencingToken, undefined);
+		assert.strictEqual(await redisClient.exists(lock.getKey(lockKey) + ':fence'), 0);
+	});
 });
\ No newline at end of file
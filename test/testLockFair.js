@@ -0,0 +1,71 @@
+const { describe, it, beforeEach } = require('node:test');
+const Lock = require('../lock');
+const { LockTimeoutError } = require('../lock');
+const { redisFixture } = require('./helpers');
+const delay = require('delay');
+const assert = require('assert');
+
+describe('Lock - fair all()', function() {
+	const fixture = redisFixture('nwlock:test-fair*');
+	let redisClient;
+	let lock;
+
+	beforeEach(() => {
+		redisClient = fixture.redis;
+		lock = new Lock(redisClient, {
+			defaultTimeout: 5000,
+			checkLockDelay: 20,
+			fair: true
+		});
+	});
+
+	it('should acquire the lock in arrival order', { timeout: 10000 }, async () => {
+		const order = [];
+		const tasks = [1, 2, 3, 4, 5].map(id => delay(id * 10).then(() => lock.all('test-fair-order', async () => {
+			order.push(id);
+			await delay(30);
+		})));
+		await Promise.all(tasks);
+
+		assert.deepStrictEqual(order, [1, 2, 3, 4, 5]);
+	});
+
+	it('should report the queue position', { timeout: 10000 }, async () => {
+		const holder = lock.all('test-fair-position', () => delay(150));
+		await delay(20);
+		const first = [], second = [];
+		await Promise.all([
+			lock.all('test-fair-position', () => delay(20), { onPosition: position => first.push(position) }),
+			delay(20).then(() => lock.all('test-fair-position', () => {}, { onPosition: position => second.push(position) }))
+		]);
+		await holder;
+
+		assert.deepStrictEqual(first, [0]);
+		assert.deepStrictEqual(second, [1, 0]);
+	});
+
+	it('should remove waiters giving up from the queue', { timeout: 10000 }, async () => {
+		const holder = lock.all('test-fair-give-up', () => delay(200));
+		await delay(20);
+		const giveUp = lock.all('test-fair-give-up', () => 'never', { acquireTimeout: 50 });
+		await delay(10);
+		const next = lock.all('test-fair-give-up', () => 'next');
+
+		await assert.rejects(giveUp, LockTimeoutError);
+		assert.strictEqual(await next, 'next');
+		await holder;
+		assert.strictEqual(await redisClient.zcard(lock.getKey('test-fair-give-up') + ':all:queue'), 0);
+	});
+
+	it('should drop crashed waiters', { timeout: 10000 }, async () => {
+		lock = new Lock(redisClient, { checkLockDelay: 20, fallbackCheckDelay: 100, fair: true });
+		const key = lock.getKey('test-fair-crash') + ':all';
+		await redisClient.zadd(key + ':queue', 1, 'crashed-waiter');
+		await redisClient.zadd(key + ':queue:expire', Date.now() + 200, 'crashed-waiter');
+
+		const startTime = Date.now();
+		await lock.all('test-fair-crash', () => {});
+		const duration = Date.now() - startTime;
+		assert(duration >= 150 && duration < 1000, `should wait for the crashed waiter to be dropped, took ${duration}ms`);
+	});
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach } = require('node:test');
+const Lock = require('../lock');
+const { redisFixture } = require('./helpers');
+const delay = require('delay');
+const assert = require('assert');
+
+// Stands for an instance that can't be reached
+const downClient = {
+	set: () => Promise.reject(new Error('Connection is closed.')),
+	get: () => Promise.reject(new Error('Connection is closed.')),
+	pttl: () => Promise.reject(new Error('Connection is closed.')),
+	eval: () => Promise.reject(new Error('Connection is closed.'))
+};
+
+describe('Lock - quorum over several instances', function() {
+	// Independent databases stand for independent instances
+	const fixtures = [1, 2, 3].map(db => redisFixture('nwlock:test-quorum*', { db }));
+	let clients;
+
+	const lockedOn = async (key) => {
+		const values = await Promise.all(clients.map(client => client.get(key)));
+		return values.filter(value => value !== null).length;
+	};
+
+	beforeEach(() => {
+		clients = fixtures.map(fixture => fixture.redis);
+	});
+
+	it('should take the lock on every instance and release it on all', { timeout: 10000 }, async () => {
+		const lock = new Lock(clients, { checkLockDelay: 20 });
+		const key = lock.getKey('test-quorum-all') + ':all';
+
+		const result = await lock.all('test-quorum-all', async () => {
+			assert.strictEqual(await lockedOn(key), 3);
+			return 'done';
+		});
+		assert.strictEqual(result, 'done');
+		assert.strictEqual(await lockedOn(key), 0);
+	});
+
+	it('should run all() tasks one at a time', { timeout: 10000 }, async () => {
+		const lock = new Lock(clients, { checkLockDelay: 20 });
+		const events = [];
+		await Promise.all([1, 2, 3].map(id => lock.all('test-quorum-sequential', async () => {
+			events.push(`start ${id}`);
+			await delay(30);
+			events.push(`end ${id}`);
+		})));
+
+		for (let i = 0; i < events.length; i += 2) {
+			assert.strictEqual(events[i].replace('start', 'end'), events[i + 1]);
+		}
+	});
+
+	it('should acquire with a minority of instances down', { timeout: 10000 }, async () => {
+		const lock = new Lock([clients[0], clients[1], downClient]);
+		const { executed, result } = await lock.race('test-quorum-down', () => 'ran');
+		assert.strictEqual(executed, true);
+		assert.strictEqual(result, 'ran');
+	});
+
+	it('should not acquire without a majority and release partial locks', { timeout: 10000 }, async () => {
+		const lock = new Lock(clients);
+		const key = lock.getKey('test-quorum-majority') + ':race';
+		await clients[0].set(key, 'other-holder', 'PX', 5000);
+		await clients[1].set(key, 'other-holder', 'PX', 5000);
+
+		const { executed } = await lock.race('test-quorum-majority', () => 'never');
+		assert.strictEqual(executed, false);
+		// the third instance was locked then released
+		assert.strictEqual(await clients[2].get(key), null);
+		assert.strictEqual(await clients[0].get(key), 'other-holder');
+	});
+
+	it('should not acquire with a majority of instances down', { timeout: 10000 }, async () => {
+		const lock = new Lock([clients[0], downClient, downClient]);
+		const { executed } = await lock.race('test-quorum-majority-down', () => 'never');
+		assert.strictEqual(executed, false);
+		assert.strictEqual(await clients[0].get(lock.getKey('test-quorum-majority-down') + ':race'), null);
+	});
+
+	it('should not count locks taken after their validity', { timeout: 10000 }, async () => {
+		const slowClients = clients.map(client => ({
+			set: (...args) => delay(60).then(() => client.set(...args)),
+			eval: (...args) => client.eval(...args)
+		}));
+		const lock = new Lock(slowClients);
+		const { executed } = await lock.race('test-quorum-validity', 50, () => 'never');
+		assert.strictEqual(executed, false);
+		assert.strictEqual(await lockedOn(lock.getKey('test-quorum-validity') + ':race'), 0);
+	});
+
+	it('should reject fencing tokens', async () => {
+		const lock = new Lock(clients);
+		let ran = false;
+		await assert.rejects(lock.all('test-quorum-fencing', () => { ran = true; }, { fencing: true }), /single Redis instance/);
+		assert.strictEqual(ran, false);
+		assert.strictEqual(await lockedOn(lock.getKey('test-quorum-fencing') + ':all'), 0);
+	});
+
+	it('should wait for the lock with the first instance down', { timeout: 10000 }, async () => {
+		const lock = new Lock([downClient, clients[1], clients[2]], { checkLockDelay: 20 });
+		const events = [];
+		await Promise.all([1, 2].map(id => lock.all('test-quorum-first-down', async () => {
+			events.push(`start ${id}`);
+			await delay(50);
+			events.push(`end ${id}`);
+		})));
+		assert.deepStrictEqual(events, ['start 1', 'end 1', 'start 2', 'end 2']);
+
+		// race waiters don't reject either, they wait for the holder
+		const holder = lock.race('test-quorum-first-down-race', () => delay(100));
+		await delay(10);
+		const startTime = Date.now();
+		const { executed } = await lock.race('test-quorum-first-down-race', () => 'never', false);
+		assert.strictEqual(executed, false);
+		assert(Date.now() - startTime >= 60, `waited ${Date.now() - startTime}ms`);
+		assert.strictEqual((await holder).executed, true);
+	});
+
+	it('should wait for a majority held without the first instance', { timeout: 10000 }, async () => {
+		const lock = new Lock(clients, { checkLockDelay: 20 });
+		const key = lock.getKey('test-quorum-other-majority') + ':race';
+		await clients[1].set(key, 'other-holder', 'PX', 300);
+		await clients[2].set(key, 'other-holder', 'PX', 300);
+
+		const startTime = Date.now();
+		const { executed } = await lock.race('test-quorum-other-majority', () => 'never', false);
+		assert.strictEqual(executed, false);
+		assert(Date.now() - startTime >= 250, `waited ${Date.now() - startTime}ms`);
+	});
+});
@@ -0,0 +1,96 @@
+const { describe, it, beforeEach } = require('node:test');
+const Lock = require('../lock');
+const { LockTimeoutError } = require('../lock');
+const { redisFixture } = require('./helpers');
+const delay = require('delay');
+const assert = require('assert');
+
+describe('Lock - read and write', function() {
+	const fixture = redisFixture('nwlock:test-rw*');
+	let redisClient;
+	let lock;
+
+	beforeEach(() => {
+		redisClient = fixture.redis;
+		lock = new Lock(redisClient, {
+			defaultTimeout: 5000,
+			checkLockDelay: 20
+		});
+	});
+
+	// Track how many tasks run at once
+	const tracker = () => {
+		const events = [];
+		let running = 0, maxRunning = 0;
+		const task = (id, ms) => async () => {
+			events.push(`start ${id}`);
+			running++;
+			maxRunning = Math.max(maxRunning, running);
+			await delay(ms);
+			running--;
+			events.push(`end ${id}`);
+			return id;
+		};
+		return { events, task, max: () => maxRunning };
+	};
+
+	it('should let readers share the lock', { timeout: 10000 }, async () => {
+		const { task, max } = tracker();
+		const results = await Promise.all([1, 2, 3].map(id => lock.read('test-rw-share', task(id, 100))));
+
+		assert.deepStrictEqual(results, [1, 2, 3]);
+		assert.strictEqual(max(), 3);
+	});
+
+	it('should run writers alone', { timeout: 10000 }, async () => {
+		const { events, task } = tracker();
+		await Promise.all([
+			lock.read('test-rw-exclusive', task('r1', 100)),
+			delay(20).then(() => lock.write('test-rw-exclusive', task('w1', 50))),
+			delay(30).then(() => lock.write('test-rw-exclusive', task('w2', 50)))
+		]);
+
+		// every task ends before the next one starts
+		for (let i = 0; i < events.length; i += 2) {
+			assert.strictEqual(events[i].replace('start', 'end'), events[i + 1]);
+		}
+		assert.strictEqual(events[0], 'start r1');
+	});
+
+	it('should make readers wait for a waiting writer', { timeout: 10000 }, async () => {
+		const { events, task } = tracker();
+		await Promise.all([
+			lock.read('test-rw-preference', task('r1', 200)),
+			delay(20).then(() => lock.write('test-rw-preference', task('w1', 50))),
+			delay(60).then(() => lock.read('test-rw-preference', task('r2', 50)))
+		]);
+
+		assert.deepStrictEqual(events, ['start r1', 'end r1', 'start w1', 'end w1', 'start r2', 'end r2']);
+	});
+
+	it('should let writers through once crashed readers expire', { timeout: 10000 }, async () => {
+		const [, readers] = lock.getReadWriteKeys('test-rw-crash');
+		await redisClient.zadd(readers, Date.now() + 200, 'crashed-reader');
+
+		const startTime = Date.now();
+		await lock.write('test-rw-crash', () => {});
+		const duration = Date.now() - startTime;
+		assert(duration >= 150 && duration < 1000, `writer should wait for the reader to expire, took ${duration}ms`);
+	});
+
+	it('should not make readers wait for a writer that gave up', { timeout: 10000 }, async () => {
+		const holder = lock.read('test-rw-give-up', () => delay(300));
+		await delay(20);
+		await assert.rejects(lock.write('test-rw-give-up', () => 'never', { acquireTimeout: 50 }), LockTimeoutError);
+
+		const startTime = Date.now();
+		await lock.read('test-rw-give-up', () => {});
+		assert(Date.now() - startTime < 200, 'reader should not wait');
+		await holder;
+	});
+
+	it('should refuse several instances', async () => {
+		const quorum = new Lock([redisClient, redisClient, redisClient]);
+		await assert.rejects(quorum.read('test-rw-quorum', () => {}), /single Redis instance/);
+	});
+});
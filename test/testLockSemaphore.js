@@ -0,0 +1,76 @@
+const { describe, it, beforeEach } = require('node:test');
+const Lock = require('../lock');
+const { redisFixture } = require('./helpers');
+const delay = require('delay');
+const assert = require('assert');
+
+describe('Lock - semaphore', function() {
+	const fixture = redisFixture('nwlock:test-semaphore*');
+	let redisClient;
+	let lock;
+
+	beforeEach(() => {
+		redisClient = fixture.redis;
+		lock = new Lock(redisClient, {
+			defaultTimeout: 5000,
+			checkLockDelay: 20
+		});
+	});
+
+	it('should run at most limit tasks at once', { timeout: 10000 }, async () => {
+		let running = 0, maxRunning = 0;
+		const results = await Promise.all([1, 2, 3, 4, 5].map(id => {
+			return lock.semaphore('test-semaphore-limit', 2, async () => {
+				running++;
+				maxRunning = Math.max(maxRunning, running);
+				await delay(50);
+				running--;
+				return id;
+			}, { ignore: false });
+		}));
+
+		assert.deepStrictEqual(results.map(r => r.executed), [true, true, true, true, true]);
+		assert.deepStrictEqual(results.map(r => r.result), [1, 2, 3, 4, 5]);
+		assert.strictEqual(maxRunning, 2);
+	});
+
+	it('should give up when every lease is held by default', { timeout: 10000 }, async () => {
+		const ignored = [];
+		lock.on('lock:ignored', payload => ignored.push(payload));
+
+		const holder = lock.semaphore('test-semaphore-ignore', 1, () => delay(100));
+		await delay(20);
+		const second = await lock.semaphore('test-semaphore-ignore', 1, () => 'never');
+
+		assert.deepStrictEqual(second, { executed: false, result: null });
+		assert.strictEqual(ignored.length, 1);
+		const { duration, ...payload } = ignored[0];
+		assert.deepStrictEqual(payload, { key: 'test-semaphore-ignore', type: 'semaphore', outcome: 'ignored' });
+		assert.strictEqual(typeof duration, 'number');
+		assert.strictEqual((await holder).executed, true);
+	});
+
+	it('should reclaim expired leases', { timeout: 10000 }, async () => {
+		const key = lock.getKey('test-semaphore-expired') + ':semaphore';
+		await redisClient.zadd(key, Date.now() + 100, 'crashed-holder');
+
+		const startTime = Date.now();
+		const { executed } = await lock.semaphore('test-semaphore-expired', 1, () => {}, { ignore: false });
+		const duration = Date.now() - startTime;
+		assert.strictEqual(executed, true);
+		assert(duration >= 50 && duration < 1000, `should wait for the lease to expire, took ${duration}ms`);
+	});
+
+	it('should release the lease when the task throws', { timeout: 10000 }, async () => {
+		await assert.rejects(lock.semaphore('test-semaphore-error', 1, () => {
+			throw new Error('Task failed');
+		}), /Task failed/);
+
+		const { executed } = await lock.semaphore('test-semaphore-error', 1, () => {});
+		assert.strictEqual(executed, true);
+	});
+
+	it('should validate the limit', async () => {
+		await assert.rejects(lock.semaphore('test-semaphore-limit', 0, () => {}), /positive integer/);
+	});
+});
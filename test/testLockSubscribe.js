@@ -0,0 +1,99 @@
+const { describe, it, beforeEach } = require('node:test');
+const Lock = require('../lock');
+const Subscriber = require('../subscriber');
+const Redis = require('ioredis');
+const { redisFixture } = require('./helpers');
+const delay = require('delay');
+const assert = require('assert');
+
+describe('Lock - release notifications', function() {
+	const fixture = redisFixture();
+	let redisClient;
+	let lock;
+
+	beforeEach(() => {
+		redisClient = fixture.redis;
+		// Polling alone would take seconds
+		lock = new Lock(redisClient, {
+			checkLockDelay: 3000,
+			fallbackCheckDelay: 3000
+		});
+	});
+
+	it('should wake up all() waiters as soon as the lock is released', { timeout: 10000 }, async () => {
+		const lockKey = 'test-lock-subscribe-all';
+		const waiting = Promise.all([
+			lock.all(lockKey, () => delay(100)),
+			delay(20).then(() => lock.all(lockKey, () => Date.now()))
+		]);
+		const startTime = Date.now();
+		const [, acquiredAt] = await waiting;
+
+		assert(acquiredAt - startTime < 1000, `waiter should be woken up by the release, took ${acquiredAt - startTime}ms`);
+	});
+
+	it('should wake up race() waiters as soon as the lock is released', { timeout: 10000 }, async () => {
+		const lockKey = 'test-lock-subscribe-race';
+		const startTime = Date.now();
+		const [first, second] = await Promise.all([
+			lock.race(lockKey, () => delay(100), false),
+			delay(20).then(() => lock.race(lockKey, () => 'never', false))
+		]);
+
+		assert.strictEqual(first.executed, true);
+		assert.strictEqual(second.executed, false);
+		assert(Date.now() - startTime < 1000, `waiter should be woken up by the release, took ${Date.now() - startTime}ms`);
+	});
+
+	it('should notice locks expiring without release', { timeout: 10000 }, async () => {
+		const lockKey = 'test-lock-subscribe-expire';
+		await redisClient.set(lock.getKey(lockKey) + ':all', 'crashed-holder', 'PX', 200);
+
+		const startTime = Date.now();
+		await lock.all(lockKey, () => {});
+		assert(Date.now() - startTime < 1000, 'waiter should retry when the lock expires');
+	});
+
+	it('should share one subscriber per redis instance', () => {
+		const other = new Lock(redisClient);
+		assert.strictEqual(Subscriber.for(other.redis), Subscriber.for(lock.redis));
+	});
+
+	it('should wake up waiters of a client with a keyPrefix', { timeout: 10000 }, async () => {
+		const lockKey = 'test-lock-subscribe-prefix';
+		const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
+		const prefixedClient = new Redis(redisUrl, { keyPrefix: 'test-prefix:' });
+		const prefixedLock = new Lock(prefixedClient, {
+			checkLockDelay: 3000,
+			fallbackCheckDelay: 3000
+		});
+
+		try {
+			const startTime = Date.now();
+			const [, acquiredAt] = await Promise.all([
+				prefixedLock.all(lockKey, () => delay(100)),
+				delay(20).then(() => prefixedLock.all(lockKey, () => Date.now()))
+			]);
+			assert(acquiredAt - startTime < 1000, `waiter should be woken up by the release, took ${acquiredAt - startTime}ms`);
+		} finally {
+			await prefixedClient.quit();
+		}
+	});
+
+	it('should only subscribe to the keys waited for', { timeout: 10000 }, async () => {
+		const lockKey = 'test-lock-subscribe-channel';
+		const channel = lock.getChannel(lock.getKey(lockKey) + ':all');
+		const subscriber = Subscriber.for(lock.redis);
+		const holder = lock.all(lockKey, () => delay(100));
+		await delay(20);
+
+		const waiting = lock.all(lockKey, () => {});
+		await delay(20);
+		assert(subscriber.channels.has(channel));
+		assert.strictEqual(subscriber.channels.size, 1);
+
+		await Promise.all([holder, waiting]);
+		assert(!subscriber.channels.has(channel));
+		assert(!subscriber.waiters.has(channel));
+	});
+});
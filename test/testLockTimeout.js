@@ -0,0 +1,71 @@
+const { describe, it, beforeEach } = require('node:test');
+const Lock = require('../lock');
+const { LockTimeoutError, AbortError } = require('../lock');
+const Subscriber = require('../subscriber');
+const { redisFixture } = require('./helpers');
+const delay = require('delay');
+const assert = require('assert');
+
+describe('Lock - acquireTimeout and signal', function() {
+	const fixture = redisFixture();
+	let redisClient;
+	let lock;
+
+	beforeEach(() => {
+		redisClient = fixture.redis;
+		lock = new Lock(redisClient, {
+			defaultTimeout: 5000,
+			checkLockDelay: 20
+		});
+	});
+
+	it('should reject all() with LockTimeoutError after acquireTimeout', { timeout: 10000 }, async () => {
+		const lockKey = 'test-lock-acquire-timeout';
+		const holder = lock.all(lockKey, () => delay(500));
+		await delay(20);
+
+		const startTime = Date.now();
+		await assert.rejects(lock.all(lockKey, () => 'never', { acquireTimeout: 100 }), (err) => {
+			assert(err instanceof LockTimeoutError);
+			assert.strictEqual(err.lockName, lockKey);
+			return true;
+		});
+		assert(Date.now() - startTime < 400);
+
+		// the waiter stopped listening for the release
+		assert(!Subscriber.for(redisClient).waiters.has(lock.getChannel(lock.getKey(lockKey) + ':all')));
+		await holder;
+	});
+
+	it('should reject waiting race() with AbortError when the signal aborts', { timeout: 10000 }, async () => {
+		const lockKey = 'test-lock-race-abort';
+		const holder = lock.race(lockKey, () => delay(500));
+		await delay(20);
+
+		const controller = new AbortController();
+		setTimeout(() => controller.abort(new Error('client went away')), 50);
+		await assert.rejects(lock.race(lockKey, () => 'never', { ignore: false, signal: controller.signal }), (err) => {
+			assert(err instanceof AbortError);
+			assert.strictEqual(err.cause.message, 'client went away');
+			return true;
+		});
+		await holder;
+	});
+
+	it('should reject at once with an already aborted signal', async () => {
+		await assert.rejects(lock.all('test-lock-aborted', () => 'never', { signal: AbortSignal.abort() }), AbortError);
+	});
+
+	it('should pass the signal to the task', { timeout: 10000 }, async () => {
+		const controller = new AbortController();
+		const result = lock.all('test-lock-task-signal', 1000, async (delayed, { signal }) => {
+			assert.strictEqual(delayed, false);
+			await new Promise(resolve => signal.addEventListener('abort', resolve));
+			return signal.reason;
+		}, { signal: controller.signal });
+
+		await delay(50);
+		controller.abort();
+		assert((await result) instanceof AbortError);
+	});
+});
@@ -0,0 +1,60 @@
+const { describe, it, beforeEach } = require('node:test');
+const Lock = require('../lock');
+const { LockLostError } = require('../lock');
+const { redisFixture } = require('./helpers');
+const delay = require('delay');
+const assert = require('assert');
+
+describe('Lock - watchdog', function() {
+	const fixture = redisFixture();
+	let redisClient;
+	let lock;
+
+	beforeEach(() => {
+		redisClient = fixture.redis;
+		lock = new Lock(redisClient, {
+			checkLockDelay: 20,
+			watchdog: true
+		});
+	});
+
+	it('should keep the lock while the task runs longer than the timeout', { timeout: 10000 }, async () => {
+		const lockKey = 'test-lock-watchdog-extend';
+		await lock.all(lockKey, 300, async () => {
+			await delay(700);
+			assert(await redisClient.pttl(lock.getKey(lockKey) + ':all') > 0, 'lock should still be held');
+		});
+		// released once the task is done
+		assert.strictEqual(await redisClient.exists(lock.getKey(lockKey) + ':all'), 0);
+	});
+
+	it('should not extend the lock without watchdog', { timeout: 10000 }, async () => {
+		const lockKey = 'test-lock-watchdog-disabled';
+		await lock.all(lockKey, 200, async () => {
+			await delay(400);
+			assert.strictEqual(await redisClient.exists(lock.getKey(lockKey) + ':all'), 0);
+		}, { watchdog: false });
+	});
+
+	it('should abort the task signal when the lock is lost', { timeout: 10000 }, async () => {
+		const lockKey = 'test-lock-watchdog-lost';
+		const lost = [];
+		lock.on('lock:lost', payload => lost.push(payload));
+
+		const result = await lock.race(lockKey, 300, async (delayed, { signal }) => {
+			// another holder took over after a long pause
+			await redisClient.set(lock.getKey(lockKey) + ':race', 'other-holder', 'PX', 1000);
+			await new Promise(resolve => signal.addEventListener('abort', resolve));
+			return signal.reason;
+		});
+
+		assert(result.result instanceof LockLostError);
+		assert.strictEqual(lost.length, 1);
+		const { duration, ...payload } = lost[0];
+		assert.deepStrictEqual(payload, { key: lockKey, type: 'race', outcome: 'lost' });
+		assert.strictEqual(typeof duration, 'number');
+		// the lock of the new holder is left alone
+		assert.strictEqual(await redisClient.get(lock.getKey(lockKey) + ':race'), 'other-holder');
+		await redisClient.del(lock.getKey(lockKey) + ':race');
+	});
+});
@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const LRU = require('../lru');
+const { loaderFixture } = require('./helpers');
+const assert = require('assert');
+const delay = require('delay');
+
+describe('LRU', function() {
+
+  it('should evict least recently used entries beyond max', () => {
+    const lru = new LRU({ max: 2 });
+    lru.set('a', 1, 1000);
+    lru.set('b', 2, 1000);
+    lru.get('a');
+    lru.set('c', 3, 1000);
+
+    assert.strictEqual(lru.get('b'), undefined);
+    assert.strictEqual(lru.get('a').value, 1);
+    assert.strictEqual(lru.get('c').value, 3);
+  });
+
+  it('should evict entries beyond maxSize and skip oversized ones', () => {
+    const lru = new LRU({ max: 0, maxSize: 10 });
+    lru.set('a', 1, 1000, 6);
+    lru.set('b', 2, 1000, 6);
+    assert.strictEqual(lru.get('a'), undefined);
+    assert.strictEqual(lru.bytes, 6);
+
+    assert.strictEqual(lru.set('c', 3, 1000, 11), false);
+    assert.strictEqual(lru.get('c'), undefined);
+  });
+
+  it('should expire entries', async () => {
+    const lru = new LRU();
+    lru.set('a', 1, 20);
+    await delay(30);
+    assert.strictEqual(lru.get('a'), undefined);
+    assert.strictEqual(lru.size, 0);
+  });
+});
+
+describe('NWLoader memory tier', function() {
+  const fixture = loaderFixture('test-nwloader-memory', { ttl: 2 });
+  let redisClient;
+  let testLoader;
+  let callCount = 0;
+
+  beforeEach(() => {
+    callCount = 0;
+    redisClient = fixture.redis;
+
+    testLoader = fixture.createLoader('test-memory', async (id) => {
+      callCount++;
+      await delay(10);
+      return { id };
+    }, { memory: { max: 100 } });
+  });
+
+  it('should serve repeated loads from memory without touching redis', async () => {
+    await testLoader.load('user1');
+    const get = redisClient.get;
+    let redisCalls = 0;
+    redisClient.get = function(...args) {
+      redisCalls++;
+      return get.apply(this, args);
+    };
+
+    const result = await testLoader.load('user1');
+    redisClient.get = get;
+
+    assert.deepStrictEqual(result, { id: 'user1' });
+    assert.strictEqual(redisCalls, 0);
+    assert.strictEqual(callCount, 1);
+
+    const stats = testLoader.stats();
+    assert.strictEqual(stats.memory.hits, 1);
+    assert.strictEqual(stats.memory.misses, 1);
+    assert.strictEqual(stats.redis.misses, 1);
+    assert.strictEqual(stats.memory.entries, 1);
+  });
+
+  it('should fill memory from prime and from redis hits', async () => {
+    await testLoader.prime('primed', { id: 'primed' });
+    assert.deepStrictEqual(await testLoader.load('primed'), { id: 'primed' });
+    assert.strictEqual(testLoader.stats().memory.hits, 1);
+
+    // another process primed this key, so only redis has it
+    const other = fixture.createLoader('test-memory', async () => {});
+    await other.prime('shared', { id: 'shared' });
+
+    assert.deepStrictEqual(await testLoader.load('shared'), { id: 'shared' });
+    assert.deepStrictEqual(await testLoader.load('shared'), { id: 'shared' });
+    const stats = testLoader.stats();
+    assert.strictEqual(stats.redis.hits, 1);
+    assert.strictEqual(stats.memory.hits, 2);
+    assert.strictEqual(callCount, 0);
+  });
+
+  it('should not keep entries beyond the fresh window', async () => {
+    await testLoader.load('user1');
+    await delay(2100);
+
+    // fresh window is over, the value must come from redis and refresh in background
+    await testLoader.load('user1');
+    await delay(50);
+    assert.strictEqual(callCount, 2);
+    assert.strictEqual(testLoader.stats().redis.hits, 1);
+  });
+
+  it('should drop entries on clear', async () => {
+    await testLoader.load('user1');
+    await testLoader.clear('user1');
+    assert.strictEqual(testLoader.stats().memory.entries, 0);
+
+    await testLoader.load('user1');
+    assert.strictEqual(callCount, 2);
+  });
+});
@@ -1,19 +1,18 @@
-const { describe, test, beforeEach, afterEach } = require('node:test');
+const { describe, test, beforeEach } = require('node:test');
 const Lock = require('../lock');
-const Redis = require('ioredis');
+const { redisFixture } = require('./helpers');
 const delay = require('delay');
 const assert = require('assert');
 
 describe('Lock - race method', function() {
 	// Create a new Redis instance and Lock instance for each test run
 	// to ensure a clean state.
+	const fixture = redisFixture();
 	let redisClient;
 	let lock;
 
 	beforeEach(() => {
-		// Use a unique Redis URL if provided, otherwise default to localhost
-		const redisUrl = process.env.REDIS_URL || 'redis://localhost:6379';
-		redisClient = new Redis(redisUrl);
+		redisClient = fixture.redis;
 		// Create a lock instance with a reasonable default timeout for testing
 		lock = new Lock(redisClient, {
 			defaultTimeout: 5000,
@@ -21,16 +20,6 @@ describe('Lock - race method', function() {
 		});
 	});
 
-	afterEach(async () => {
-		// Clean up Redis connection after each test
-		if (redisClient) {
-			// Optionally clear any test keys here if needed, though the lock
-			// mechanism should handle cleanup.
-			// For example: await redisClient.del('nwlock:test-lock-sequential');
-			await redisClient.quit();
-		}
-	});
-
 	test('should execute only one task when multiple tasks race for the same lock key', async () => {
 		
 		const results = [];
@@ -72,4 +61,28 @@ describe('Lock - race method', function() {
 		assert(results[0].id === 'A' || results[0].id === 'B' || results[0].id === 'C', 'The executed task ID should be one of A, B, or C');
 		console.log('Single execution race test passed with result:', executedResult, 'and non-executed tasks:', nonExecutedTasks);
 	});
+
+	test('raceMany should release the acquired locks when one of them can not be tried', async () => {
+		const getRaceLock = lock.getRaceLock.bind(lock);
+		lock.getRaceLock = (lockName, ...args) => lockName === 'test-race-many-broken'
+			? delay(20).then(() => { throw new Error('Connection is closed.'); })
+			: getRaceLock(lockName, ...args);
+
+		let ran = false;
+		await assert.rejects(lock.raceMany(['test-race-many-ok', 'test-race-many-broken'], () => { ran = true; }), /Connection is closed/);
+		assert.strictEqual(ran, false);
+		assert.strictEqual(await redisClient.exists(lock.getKey('test-race-many-ok') + ':race'), 0);
+	});
+
+	test('raceMany should keep the locks with a watchdog', { timeout: 10000 }, async () => {
+		const watched = new Lock(redisClient, { defaultTimeout: 150, watchdog: true });
+		const lockNames = ['test-race-many-watchdog-a', 'test-race-many-watchdog-b'];
+		const { acquired, result } = await watched.raceMany(lockNames, async (names, { signal }) => {
+			await delay(400);
+			const others = await Promise.all(names.map(name => lock.race(name, () => 'never')));
+			return others.every(({ executed }) => !executed) && !signal.aborted;
+		});
+		assert.deepStrictEqual(acquired, lockNames);
+		assert.strictEqual(result, true);
+	});
 });
\ No newline at end of file
@@ -0,0 +1,79 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture } = require('./helpers');
+const serializers = require('../serializer');
+const assert = require('assert');
+
+describe('serializers', function() {
+  const value = {
+    date: new Date('2024-01-02T03:04:05.006Z'),
+    buffer: Buffer.from('hello'),
+    map: new Map([['a', 1], [2, new Set([1n])]]),
+    big: 12345678901234567890n,
+    regexp: /ab+c/gi,
+    inf: -Infinity,
+    nested: [{ $t: 'Date', v: 'not a date' }]
+  };
+
+  it('should keep types with the typed serializer', () => {
+    const decoded = serializers.typed.decode(serializers.typed.encode(value));
+    assert.deepStrictEqual(decoded, value);
+  });
+
+  it('should keep types with the v8 serializer', () => {
+    const { regexp, ...rest } = value;
+    const decoded = serializers.v8.decode(serializers.v8.encode(rest));
+    assert.deepStrictEqual(decoded, rest);
+  });
+
+  it('should resolve built-in names and validate custom serializers', () => {
+    assert.strictEqual(serializers.resolve('typed'), serializers.typed);
+    assert.strictEqual(serializers.resolve(), serializers.json);
+    assert.throws(() => serializers.resolve('yaml'), /unknown serializer/);
+    assert.throws(() => serializers.resolve({ encode: String }), /need name, encode and decode/);
+  });
+});
+
+describe('NWLoader serializer option', function() {
+  const fixture = loaderFixture('test-nwloader-serializer', { ttl: 2 });
+  let redisClient;
+
+  beforeEach(() => {
+    redisClient = fixture.redis;
+  });
+
+  const createLoader = (serializer) => {
+    return fixture.createLoader('test-serializer', async (id) => ({ id, at: new Date(0), count: 1n }), { serializer });
+  };
+
+  for (const name of ['typed', 'v8']) {
+    it(`should round trip values through redis with the ${name} serializer`, async () => {
+      const loader = createLoader(name);
+      const loaded = await loader.load('a');
+      const cached = await loader.load('a');
+      assert.deepStrictEqual(cached, loaded);
+      assert.deepStrictEqual(cached, { id: 'a', at: new Date(0), count: 1n });
+
+      const raw = JSON.parse(await redisClient.get(loader.getKey('a')));
+      assert.strictEqual(raw.serializer, name);
+    });
+  }
+
+  it('should read entries written by another serializer', async () => {
+    await createLoader('json').prime('old', { id: 'old' });
+    await createLoader('v8').prime('binary', { id: 'binary', big: 1n });
+
+    const loader = createLoader('typed');
+    assert.deepStrictEqual(await loader.load('old'), { id: 'old' });
+    assert.deepStrictEqual(await loader.load('binary'), { id: 'binary', big: 1n });
+  });
+
+  it('should support custom serializers', async () => {
+    const loader = createLoader({
+      name: 'upper',
+      encode: value => JSON.stringify(value).toUpperCase(),
+      decode: data => JSON.parse(data)
+    });
+    await loader.prime('custom', { id: 'custom' });
+    assert.deepStrictEqual(await loader.load('custom'), { ID: 'CUSTOM' });
+  });
+});
@@ -0,0 +1,74 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture } = require('./helpers');
+const assert = require('assert');
+const delay = require('delay');
+
+describe('NWLoader staleIfError', function() {
+  const fixture = loaderFixture('test-nwloader-grace', { ttl: 2, staleIfError: 1 });
+  let redisClient;
+  let fail = false;
+
+  const createLoader = (options) => {
+    const loader = fixture.createLoader('test-stale-if-error', async (id) => {
+      await delay(10);
+      if (fail) throw new Error('Simulated outage');
+      return { id };
+    }, options);
+    // background errors are expected here
+    loader.on('background:error', () => {});
+    return loader;
+  };
+
+  beforeEach(() => {
+    fail = false;
+    redisClient = fixture.redis;
+  });
+
+  it('should serve the last good value past expiration while refreshes fail', { timeout: 10000 }, async () => {
+    const loader = createLoader();
+    const stale = [];
+    loader.on('stale', ({ outcome }) => stale.push(outcome));
+
+    await loader.load('a');
+    fail = true;
+
+    // stale window, the failed refresh extends the entry
+    await delay(2100);
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a' });
+    await delay(1800);
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a' });
+
+    // past the normal 2 * ttl expiration
+    await delay(400);
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a' });
+    assert.deepStrictEqual(stale, ['stale', 'stale', 'grace']);
+    const stats = loader.stats();
+    assert.strictEqual(stats.grace.served, 1);
+    assert(stats.grace.extended >= 2);
+
+    // past staleIfError, the error reaches the caller
+    await delay(1000);
+    await assert.rejects(loader.load('a'), /Simulated outage/);
+  });
+
+  it('should not extend entries without staleIfError', async () => {
+    const loader = createLoader({ staleIfError: 0 });
+    await loader.load('a');
+    fail = true;
+
+    await delay(2100);
+    await loader.load('a');
+    await delay(50);
+    const pttl = await redisClient.pttl(loader.getKey('a'));
+    assert(pttl < 1950, `pttl should not be extended, got ${pttl}`);
+  });
+
+  it('should not shorten an entry primed meanwhile', async () => {
+    const loader = createLoader();
+    await loader.prime('a', { id: 'a' });
+    const envelope = JSON.parse(await redisClient.get(loader.getKey('a')));
+
+    assert.strictEqual(await loader.extendStale(loader.getKey('a'), envelope), false);
+    assert(await redisClient.pttl(loader.getKey('a')) > 3000);
+  });
+});
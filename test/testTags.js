@@ -0,0 +1,98 @@
+const { describe, it, beforeEach } = require('node:test');
+const NWLoader = require('../index');
+const { loaderFixture, clusterLike } = require('./helpers');
+const assert = require('assert');
+const delay = require('delay');
+
+describe('NWLoader tags', function() {
+  const fixture = loaderFixture('test-nwloader-tags', { ttl: 2, tagPrefix: 'test-nwloader-tags:tag' });
+  let redisClient;
+  let callCount = 0;
+
+  beforeEach(() => {
+    callCount = 0;
+    redisClient = fixture.redis;
+  });
+
+  it('should invalidate tagged entries across loaders', async () => {
+    const user = fixture.createLoader('user', async (id) => {
+      callCount++;
+      return { id };
+    }, { tags: (value) => [`user:${value.id}`] });
+    const profile = fixture.createLoader('userProfile', async (id) => {
+      callCount++;
+      return { id, bio: 'hi' };
+    }, { tags: (value, args) => [`user:${args[0]}`] });
+
+    await user.load(1);
+    await user.load(2);
+    await profile.load(1);
+    assert.strictEqual(callCount, 3);
+
+    const deleted = await NWLoader.invalidateTags(redisClient, ['user:1'], { prefix: 'test-nwloader-tags:tag' });
+    assert.strictEqual(deleted, 2);
+
+    await user.load(1);
+    await user.load(2);
+    await profile.load(1);
+    assert.strictEqual(callCount, 5);
+  });
+
+  it('should record explicit tags passed to prime and primeMany', async () => {
+    const loader = fixture.createLoader('tagged', async () => {}, { tags: ['all'] });
+    await loader.prime('a', 'A', { tags: ['letters'] });
+    await loader.primeMany([['b', 'B', { tags: ['letters'] }], ['c', 'C']]);
+
+    const members = await redisClient.zrange('test-nwloader-tags:tag:letters', 0, -1);
+    assert.deepStrictEqual(members.sort(), [loader.getKey('a'), loader.getKey('b')]);
+
+    const deleted = await NWLoader.invalidateTags(redisClient, 'all', { prefix: 'test-nwloader-tags:tag' });
+    assert.strictEqual(deleted, 3);
+    assert.strictEqual(await redisClient.exists(loader.getKey('c')), 0);
+  });
+
+  it('should remove expired members and expire tag sets', async () => {
+    const loader = fixture.createLoader('expiring', async () => {}, { ttl: 2, tags: ['t'] });
+    await loader.prime('a', 'A');
+
+    const tagKey = 'test-nwloader-tags:tag:t';
+    const pttl = await redisClient.pttl(tagKey);
+    assert(pttl > 3000 && pttl <= 4000, `tag set should expire with its entries, pttl=${pttl}`);
+
+    // pretend "a" expired long ago
+    await redisClient.zadd(tagKey, Date.now() - 1000, loader.getKey('a'));
+    await loader.prime('b', 'B');
+    assert.deepStrictEqual(await redisClient.zrange(tagKey, 0, -1), [loader.getKey('b')]);
+  });
+
+  it('should not pipeline keys of different slots with a Cluster', async () => {
+    const cluster = clusterLike(redisClient);
+    const loader = fixture.createLoader('cluster', async (id) => ({ id }), { redis: cluster, tags: ['t', 'u'] });
+    await loader.load(1);
+    await loader.load(2);
+
+    assert.strictEqual(await NWLoader.invalidateTags(cluster, ['t', 'u'], { prefix: 'test-nwloader-tags:tag' }), 2);
+    assert.strictEqual(await redisClient.exists(loader.getKey(1)), 0);
+  });
+
+  it('should report tag failures without failing the load', async () => {
+    const errors = [];
+    const loader = fixture.createLoader('broken', async (id) => {
+      callCount++;
+      return { id };
+    }, { errorTtl: 5, tags: ['broken'] });
+    loader.on('background:error', ({ error }) => errors.push(error));
+    // ZADD fails on a string
+    await redisClient.set('test-nwloader-tags:tag:broken', 'not a sorted set');
+
+    assert.deepStrictEqual(await loader.load(1), { id: 1 });
+    assert.deepStrictEqual(await loader.loadMany([2]), [{ id: 2 }]);
+    assert.strictEqual(errors.length, 2);
+    assert.match(errors[0].message, /NWLoader broken:/);
+
+    // the values are cached, not the errors
+    assert.deepStrictEqual(await loader.load(1), { id: 1 });
+    assert.deepStrictEqual(await loader.load(2), { id: 2 });
+    assert.strictEqual(callCount, 2);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture } = require('./helpers');
+const assert = require('assert');
+const delay = require('delay');
+
+describe('NWLoader versions and generations', function() {
+  const fixture = loaderFixture('test-nwloader-versioning', { ttl: 5 });
+  let redisClient;
+  let calls = 0;
+
+  const createLoader = (options) => fixture.createLoader('test-versioning', async (id) => {
+    calls++;
+    if (id === 'error') throw new Error('Simulated error');
+    return { id, calls };
+  }, options);
+
+  beforeEach(() => {
+    calls = 0;
+    redisClient = fixture.redis;
+  });
+
+  it('should treat entries of another version as misses', async () => {
+    const v1 = createLoader({ version: 1 });
+    const v2 = createLoader({ version: 2 });
+
+    assert.deepStrictEqual(await v1.load('a'), { id: 'a', calls: 1 });
+    assert.deepStrictEqual(await v2.load('a'), { id: 'a', calls: 2 });
+    assert.strictEqual(JSON.parse(await redisClient.get(v2.getKey('a'))).version, 2);
+    assert.deepStrictEqual(await v2.load('a'), { id: 'a', calls: 2 });
+
+    // entries without version belong to loaders without version
+    assert.deepStrictEqual(await createLoader().load('a'), { id: 'a', calls: 3 });
+    assert.deepStrictEqual(await v2.load('a'), { id: 'a', calls: 4 });
+  });
+
+  it('should ignore cached errors of another version', async () => {
+    await assert.rejects(createLoader({ version: 1, errorTtl: 5 }).load('error'), /Simulated error/);
+    await assert.rejects(createLoader({ version: 2, errorTtl: 5 }).load('error'), /Simulated error/);
+    assert.strictEqual(calls, 2);
+  });
+
+  it('should invalidate every entry at once with bumpGeneration()', async () => {
+    const loader = createLoader({ generations: true, memory: true });
+    await loader.load('a');
+    const oldKey = loader.getKey('a');
+
+    assert.strictEqual(await loader.bumpGeneration(), 1);
+    assert.strictEqual(loader.getKey('a'), 'test-nwloader-versioning:test-versioning@1:a');
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a', calls: 2 });
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a', calls: 2 });
+
+    // old entries are left to expire
+    assert(await redisClient.pttl(oldKey) > 0);
+    assert.strictEqual(await loader.bumpGeneration(), 2);
+    assert.deepStrictEqual(await loader.loadMany(['a']), [{ id: 'a', calls: 3 }]);
+  });
+
+  it('should notice generations bumped by other processes', { timeout: 10000 }, async () => {
+    const writer = createLoader({ generations: true });
+    const cached = createLoader({ generations: true, generationCacheTime: 200 });
+    const uncached = createLoader({ generations: true, generationCacheTime: 0 });
+    await cached.load('a');
+    await writer.bumpGeneration();
+
+    assert.deepStrictEqual(await uncached.load('a'), { id: 'a', calls: 2 });
+    assert.deepStrictEqual(await cached.load('a'), { id: 'a', calls: 1 });
+    await delay(250);
+    assert.deepStrictEqual(await cached.load('a'), { id: 'a', calls: 2 });
+  });
+
+  it('should list entries of every generation', async () => {
+    const loader = createLoader({ generations: true });
+    await loader.load('a');
+    await loader.bumpGeneration();
+    await loader.load('a');
+
+    const keys = [];
+    for await (const key of loader.keys()) keys.push(key);
+    assert.deepStrictEqual([...new Set(keys)].sort(), [
+      'test-nwloader-versioning:test-versioning:a',
+      'test-nwloader-versioning:test-versioning@1:a'
+    ]);
+  });
+
+  it('should need options.generations to bump the generation', async () => {
+    await assert.rejects(createLoader().bumpGeneration(), /options.generations/);
+  });
+});
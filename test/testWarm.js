@@ -0,0 +1,120 @@
+const { describe, it, beforeEach } = require('node:test');
+const { loaderFixture } = require('./helpers');
+const assert = require('assert');
+const delay = require('delay');
+
+describe('NWLoader warm', function() {
+  const fixture = loaderFixture('test-nwloader-warm', { ttl: 2 });
+  let redisClient;
+  let calls = 0;
+  let running = 0;
+  let maxRunning = 0;
+
+  const createLoader = (options) => fixture.createLoader('test-warm', async (id, lang) => {
+    calls++;
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await delay(30);
+    running--;
+    if (id === 'error') throw new Error('Simulated error');
+    return { id, lang, calls };
+  }, options);
+
+  beforeEach(() => {
+    calls = 0;
+    running = 0;
+    maxRunning = 0;
+    redisClient = fixture.redis;
+  });
+
+  it('should load missing entries and skip fresh ones', async () => {
+    const loader = createLoader();
+    await loader.prime('a', { id: 'a' });
+
+    const result = await loader.warm(['a', 'b', ['c', 'en']]);
+    assert.deepStrictEqual(result, { loaded: 2, skipped: 1, failed: 0, errors: [] });
+    assert.strictEqual(calls, 2);
+
+    assert.deepStrictEqual(await loader.load('c', 'en'), { id: 'c', lang: 'en', calls: 2 });
+    assert.strictEqual(calls, 2);
+  });
+
+  it('should reload fresh entries with skipFresh false', async () => {
+    const loader = createLoader();
+    await loader.prime('a', { id: 'a' });
+
+    assert.strictEqual((await loader.warm(['a'], { skipFresh: false })).loaded, 1);
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a', calls: 1 });
+  });
+
+  it('should wait for stale entries to be refreshed', { timeout: 10000 }, async () => {
+    const loader = createLoader();
+    await loader.prime('a', { id: 'a' });
+    await delay(2100);
+
+    assert.strictEqual((await loader.warm(['a'])).loaded, 1);
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a', calls: 1 });
+  });
+
+  it('should load keys with a cached error', async () => {
+    const loader = createLoader({ errorTtl: 5 });
+    await loader.primeError('a', new Error('Simulated error'));
+
+    assert.deepStrictEqual(await loader.warm(['a']), { loaded: 1, skipped: 0, failed: 0, errors: [] });
+    assert.deepStrictEqual(await loader.load('a'), { id: 'a', calls: 1 });
+  });
+
+  it('should bound concurrency and read async iterables lazily', async () => {
+    const loader = createLoader();
+    let read = 0;
+    async function* ids() {
+      for (let i = 0; i < 6; i++) {
+        read++;
+        yield [`key-${i}`];
+      }
+    }
+
+    const result = await loader.warm(ids(), { concurrency: 2 });
+    assert.strictEqual(result.loaded, 6);
+    assert.strictEqual(read, 6);
+    assert.strictEqual(maxRunning, 2);
+  });
+
+  it('should report failed keys without stopping the run', async () => {
+    const loader = createLoader();
+    const progress = [];
+    const result = await loader.warm(['error', 'a', 'b'], {
+      concurrency: 1,
+      onProgress: ({ key, outcome, done, failed }) => progress.push({ key, outcome, done, failed })
+    });
+
+    assert.strictEqual(result.loaded, 2);
+    assert.strictEqual(result.failed, 1);
+    assert.strictEqual(result.errors[0].key, loader.getKey('error'));
+    assert.deepStrictEqual(result.errors[0].args, ['error']);
+    assert.match(result.errors[0].error.message, /Simulated error/);
+    assert.deepStrictEqual(progress, [
+      { key: loader.getKey('error'), outcome: 'failed', done: 1, failed: 1 },
+      { key: loader.getKey('a'), outcome: 'loaded', done: 2, failed: 1 },
+      { key: loader.getKey('b'), outcome: 'loaded', done: 3, failed: 1 }
+    ]);
+  });
+
+  it('should share the race lock with load()', async () => {
+    const loader = createLoader();
+    const [value, result] = await Promise.all([
+      loader.load('a'),
+      delay(5).then(() => loader.warm(['a']))
+    ]);
+
+    assert.strictEqual(value.calls, 1);
+    assert.strictEqual(result.loaded, 1);
+    assert.strictEqual(calls, 1);
+  });
+
+  it('should validate its arguments', async () => {
+    const loader = createLoader();
+    await assert.rejects(loader.warm(null), /iterable/);
+    await assert.rejects(loader.warm([], { concurrency: 0 }), /concurrency/);
+  });
+});